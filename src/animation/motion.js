@@ -0,0 +1,25 @@
+/**
+ * Motion preferences:
+ * - prefersReducedMotion() reads the OS / browser setting
+ * - onMotionPreferenceChange(fn) calls fn(reduced) whenever it changes
+ *   and returns an unsubscribe function
+ *
+ * Every animated part of the page (runaway NO, confetti, 3D scene)
+ * checks this instead of querying matchMedia on its own.
+ */
+
+const query =
+  typeof window !== "undefined" && window.matchMedia
+    ? window.matchMedia("(prefers-reduced-motion: reduce)")
+    : null;
+
+export function prefersReducedMotion() {
+  return query?.matches ?? false;
+}
+
+export function onMotionPreferenceChange(fn) {
+  if (!query) return () => {};
+  const listener = (e) => fn(e.matches);
+  query.addEventListener("change", listener);
+  return () => query.removeEventListener("change", listener);
+}
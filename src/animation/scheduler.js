@@ -0,0 +1,84 @@
+/**
+ * Animation scheduler:
+ * - Wraps a requestAnimationFrame loop with start() / stop() / destroy()
+ * - Pauses while the tab is hidden (visibilitychange) and, optionally,
+ *   while a target element is scrolled offscreen (IntersectionObserver)
+ * - On resume the clock restarts, so the first delta is small instead of
+ *   the whole time spent paused (dt is clamped to maxDt anyway)
+ * - destroy() cancels the pending frame and removes every listener
+ *
+ * onFrame(dt, now, frameMs): dt in seconds (clamped), frameMs raw.
+ */
+export function createAnimationLoop(onFrame, { maxDt = 0.033, target = null } = {}) {
+  let wanted = false; // start() called and not stopped
+  let hidden = document.visibilityState === "hidden";
+  let offscreen = false;
+
+  let rafId = 0;
+  let lastT = 0;
+
+  function shouldRun() {
+    return wanted && !hidden && !offscreen;
+  }
+
+  function frame(now) {
+    rafId = 0;
+    const frameMs = now - lastT;
+    lastT = now;
+
+    onFrame(Math.min(frameMs / 1000, maxDt), now, frameMs);
+
+    // onFrame may have called stop()
+    if (shouldRun() && !rafId) rafId = requestAnimationFrame(frame);
+  }
+
+  function sync() {
+    if (shouldRun()) {
+      if (rafId) return;
+      lastT = performance.now();
+      rafId = requestAnimationFrame(frame);
+    } else if (rafId) {
+      cancelAnimationFrame(rafId);
+      rafId = 0;
+    }
+  }
+
+  function onVisibility() {
+    hidden = document.visibilityState === "hidden";
+    sync();
+  }
+  document.addEventListener("visibilitychange", onVisibility);
+
+  let observer = null;
+  if (target && typeof IntersectionObserver !== "undefined") {
+    observer = new IntersectionObserver((entries) => {
+      offscreen = !entries[entries.length - 1].isIntersecting;
+      sync();
+    });
+    observer.observe(target);
+  }
+
+  function start() {
+    wanted = true;
+    sync();
+  }
+
+  function stop() {
+    wanted = false;
+    sync();
+  }
+
+  function destroy() {
+    stop();
+    document.removeEventListener("visibilitychange", onVisibility);
+    observer?.disconnect();
+    observer = null;
+  }
+
+  return {
+    start,
+    stop,
+    destroy,
+    isRunning: shouldRun
+  };
+}
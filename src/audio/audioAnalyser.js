@@ -0,0 +1,84 @@
+/**
+ * Music analyser:
+ * - Taps the playing music's `output` node with a Web Audio AnalyserNode
+ *   on the shared mixer's context (the soundtrack's output, or the music
+ *   player's gain once it is routed through the mixer)
+ * - connect() is called while the music plays; it does nothing until
+ *   there is an output to tap
+ * - sample(dt) -> { energy, beat }: smoothed bass energy 0..1, and
+ *   true on the frame a bass onset is detected
+ * - Silent / paused / muted music reads as { energy: 0, beat: false }
+ */
+
+const BASS_MAX_HZ = 160;
+const BEAT_RATIO = 1.35;      // onset = energy this much above its recent average
+const BEAT_MIN_ENERGY = 0.28;
+const BEAT_COOLDOWN = 0.22;   // seconds between two onsets
+
+const SILENT = Object.freeze({ energy: 0, beat: false });
+
+export function createAudioAnalyser({ mixer, player }) {
+  let ctx = null;
+  let analyser = null;
+  let bins = null;
+  let bassBins = 0;
+
+  let level = 0;     // smoothed energy returned to callers
+  let average = 0;   // slow running average used for onsets
+  let sinceBeat = 0;
+
+  function connect() {
+    if (analyser || !player.output) return;
+    ctx = mixer.context();
+    if (!ctx) return;
+
+    try {
+      analyser = ctx.createAnalyser();
+      analyser.fftSize = 1024;
+      analyser.smoothingTimeConstant = 0.6;
+
+      player.output.connect(analyser);
+
+      bins = new Uint8Array(analyser.frequencyBinCount);
+      const hzPerBin = ctx.sampleRate / analyser.fftSize;
+      bassBins = Math.max(1, Math.round(BASS_MAX_HZ / hzPerBin));
+    } catch (err) {
+      console.warn("Audio analyser unavailable:", err);
+      analyser = null;
+    }
+  }
+
+  // The tap sits before the master gain, so muted music must read as silence
+  function isActive() {
+    return !!analyser && mixer.isAudible() && player.isPlaying();
+  }
+
+  function sample(dt) {
+    sinceBeat += dt;
+
+    if (!isActive()) {
+      // Let the heart settle back to its idle float
+      level = Math.max(0, level - dt * 2);
+      average = level;
+      return level > 0 ? { energy: level, beat: false } : SILENT;
+    }
+
+    analyser.getByteFrequencyData(bins);
+    let sum = 0;
+    for (let i = 0; i < bassBins; i++) sum += bins[i];
+    const energy = sum / (bassBins * 255);
+
+    // Fast attack, slower release
+    const k = energy > level ? Math.min(1, dt * 18) : Math.min(1, dt * 5);
+    level += (energy - level) * k;
+    average += (energy - average) * Math.min(1, dt * 1.5);
+
+    const beat =
+      sinceBeat > BEAT_COOLDOWN && energy > BEAT_MIN_ENERGY && energy > average * BEAT_RATIO;
+    if (beat) sinceBeat = 0;
+
+    return { energy: level, beat };
+  }
+
+  return { connect, sample, isActive };
+}
@@ -0,0 +1,115 @@
+/**
+ * Audio mixer:
+ * - One AudioContext and one master gain for everything: soundtrack, UI
+ *   sound effects and the music files (routed in by ./musicPlayer.js)
+ * - One master volume + mute toggle; players outside the graph (tracks
+ *   from other origins) follow it through their setLevel()
+ * - The context is created on the first tap / key press (browsers only
+ *   let audio start after a user gesture)
+ * - Volume and mute are remembered in localStorage
+ */
+
+const STORAGE_KEY = "valentine.sound";
+
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return {
+      volume: typeof saved?.volume === "number" ? Math.min(Math.max(saved.volume, 0), 1) : 0.8,
+      muted: saved?.muted === true
+    };
+  } catch {
+    return { volume: 0.8, muted: false };
+  }
+}
+
+export function createAudioMixer() {
+  let { volume, muted } = loadSettings();
+
+  let ctx = null;
+  let master = null;
+  const players = new Set();
+  const listeners = new Set();
+
+  function level() {
+    return muted ? 0 : volume;
+  }
+
+  function context() {
+    if (ctx) return ctx;
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return null;
+
+    ctx = new AudioCtx();
+    master = ctx.createGain();
+    master.gain.value = level();
+    master.connect(ctx.destination);
+    return ctx;
+  }
+
+  // Master gain node; null when Web Audio is unavailable
+  function output() {
+    return context() ? master : null;
+  }
+
+  // True once sound can actually be heard (context running, not muted)
+  function isAudible() {
+    return !!ctx && ctx.state === "running" && level() > 0;
+  }
+
+  function unlock() {
+    const c = context();
+    if (c?.state === "suspended") c.resume().catch(() => {});
+  }
+  window.addEventListener("pointerdown", unlock, { passive: true });
+  window.addEventListener("keydown", unlock);
+
+  function apply() {
+    if (master) master.gain.setTargetAtTime(level(), ctx.currentTime, 0.05);
+    players.forEach((player) => player.setLevel(level()));
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ volume, muted }));
+    } catch {}
+
+    const state = getState();
+    listeners.forEach((fn) => {
+      try { fn(state); } catch {}
+    });
+  }
+
+  function getState() {
+    return { volume, muted };
+  }
+
+  return {
+    context,
+    output,
+    isAudible,
+    getState,
+    setVolume(v) {
+      volume = Math.min(Math.max(v, 0), 1);
+      if (volume > 0) muted = false;
+      apply();
+    },
+    setMuted(m) {
+      muted = !!m;
+      apply();
+    },
+    toggleMute() {
+      muted = !muted;
+      apply();
+    },
+    // Music players follow the master level through setLevel()
+    attach(player) {
+      players.add(player);
+      player.setLevel(level());
+      return () => players.delete(player);
+    },
+    subscribe(fn) {
+      listeners.add(fn);
+      fn(getState());
+      return () => listeners.delete(fn);
+    }
+  };
+}
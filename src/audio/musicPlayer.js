@@ -0,0 +1,343 @@
+/**
+ * Music player:
+ * - One <audio> element playing a playlist of { src, title, artist }
+ * - play() fades the volume in, pause() fades it out (no hard cuts)
+ * - With a mixer (../audio/mixer.js), the element is routed through a
+ *   gain node into its master once the context runs: fades and master
+ *   volume then work on iOS too, where audio.volume is read-only.
+ *   Leave it out for tracks from other origins (Web Audio would read
+ *   them as silence); those follow the master through setLevel()
+ * - pause keeps the position, so reopening the letter resumes the song
+ * - Last track wraps to the first; a single track simply loops
+ * - Media Session metadata + actions for phone lock screens, claimed on
+ *   the first play() (an idle player never takes over those controls)
+ * - status: "idle" | "loading" | "playing" | "blocked" (autoplay policy,
+ *   needs a tap) | "error" (missing or unplayable file, see `error`)
+ * - preflight() asks the server for the track up front, so a missing
+ *   file shows as an error before anyone presses play
+ * - subscribe(fn) reports { status, error, playing, index, track,
+ *   currentTime, duration }
+ * - `output`: the gain node once routed (for ./audioAnalyser.js), else null
+ */
+
+const FADE_IN_MS = 900;
+const FADE_OUT_MS = 600;
+const FADE_STEP_MS = 30;
+
+// "music/my-song.mp3" -> "my-song"
+function titleFromFile(file) {
+  const name = String(file).split("/").pop() || String(file);
+  return decodeURIComponent(name.replace(/\.[a-z0-9]+$/i, ""));
+}
+
+function resolveUrl(file) {
+  if (/^https?:\/\//i.test(file)) return file;
+  const base = import.meta.env.BASE_URL || "/";
+  return `${base}${file}`;
+}
+
+/**
+ * Build the track list from the surprise config: `playlist` when it has
+ * entries, otherwise the single `music` file.
+ */
+export function tracksFromSurprise({ music, playlist }) {
+  const entries = playlist?.length ? playlist : [music];
+  return entries.map((entry) => {
+    const item = typeof entry === "string" ? { file: entry } : entry;
+    return {
+      src: resolveUrl(item.file),
+      title: item.title || titleFromFile(item.file),
+      artist: item.artist || ""
+    };
+  });
+}
+
+export function createMusicPlayer({ tracks, volume = 0.6, mixer = null }) {
+  const audio = new Audio(); // src is set on first play (nothing downloads before)
+  audio.preload = "auto";
+  audio.volume = 0;
+
+  let index = 0;
+  let playing = false;
+  let fadeTimer = 0;
+  let fadeDone = null;
+  let level = 1; // master gain 0..1 applied on top of `volume` (unrouted only)
+  let gain = null; // Web Audio gain once routed through the mixer
+  let routing = false;
+
+  let status = "idle";
+  let error = null; // "missing" | "failed" while status is "error"
+  const preflights = new Map(); // src -> Promise<boolean>
+
+  const listeners = new Set();
+
+  function state() {
+    return {
+      status,
+      error,
+      playing,
+      index,
+      track: tracks[index],
+      trackCount: tracks.length,
+      currentTime: audio.currentTime || 0,
+      duration: Number.isFinite(audio.duration) ? audio.duration : 0
+    };
+  }
+
+  function emit() {
+    const s = state();
+    listeners.forEach((fn) => {
+      try { fn(s); } catch {}
+    });
+    updatePositionState();
+  }
+
+  function setStatus(next, reason = null) {
+    status = next;
+    error = next === "error" ? reason : null;
+    emit();
+  }
+
+  function load(i) {
+    index = (i + tracks.length) % tracks.length;
+    audio.src = tracks[index].src;
+    audio.loop = tracks.length === 1;
+    updateMetadata();
+  }
+
+  function targetVolume() {
+    // Routed, the mixer's master gain applies the level itself
+    return gain ? volume : volume * level;
+  }
+
+  function getVolume() {
+    return gain ? gain.gain.value : audio.volume;
+  }
+
+  function setVolume(v) {
+    if (gain) gain.gain.value = v;
+    else audio.volume = v;
+  }
+
+  /**
+   * Move the element into the mixer's graph. Only while the context runs:
+   * a suspended context would silence it, so until then (and if routing
+   * fails) it keeps its normal output.
+   */
+  function route() {
+    if (!mixer || gain || routing) return;
+    const ctx = mixer.context();
+    if (!ctx) return;
+
+    if (ctx.state !== "running") {
+      routing = true;
+      ctx.resume().then(
+        () => {
+          routing = false;
+          if (ctx.state === "running") route();
+        },
+        () => { routing = false; }
+      );
+      return;
+    }
+
+    try {
+      const source = ctx.createMediaElementSource(audio);
+      const node = ctx.createGain();
+      node.gain.value = audio.volume;
+      source.connect(node);
+      node.connect(mixer.output());
+      gain = node;
+      audio.volume = 1;
+      emit();
+    } catch (err) {
+      console.warn("Music stays on the plain <audio> output:", err);
+      mixer = null;
+    }
+  }
+
+  // Linear volume ramp; resolves when done or superseded
+  function fadeTo(to, ms) {
+    clearInterval(fadeTimer);
+    fadeDone?.();
+    return new Promise((resolve) => {
+      fadeDone = resolve;
+      const from = getVolume();
+      const steps = Math.max(1, Math.round(ms / FADE_STEP_MS));
+      let step = 0;
+      fadeTimer = setInterval(() => {
+        step++;
+        setVolume(Math.min(1, Math.max(0, from + ((to - from) * step) / steps)));
+        if (step >= steps) {
+          clearInterval(fadeTimer);
+          resolve();
+        }
+      }, FADE_STEP_MS);
+    });
+  }
+
+  async function play() {
+    claimMediaSession();
+    if (!audio.src) load(index);
+    if (!playing) setVolume(0);
+    route();
+    setStatus("loading");
+
+    try {
+      await audio.play();
+    } catch (err) {
+      playing = false;
+      if (err?.name === "NotAllowedError") setStatus("blocked");
+      else setStatus("error", (await preflight()) ? "failed" : "missing");
+      throw err;
+    }
+
+    playing = true;
+    setStatus("playing");
+    fadeTo(targetVolume(), FADE_IN_MS);
+  }
+
+  async function pause({ fade = true } = {}) {
+    if (!playing) return;
+    playing = false;
+    setStatus("idle");
+    if (fade) await fadeTo(0, FADE_OUT_MS);
+    // play() may have been called again during the fade
+    if (!playing) audio.pause();
+  }
+
+  async function toggle() {
+    if (playing) await pause();
+    else await play();
+  }
+
+  async function select(i) {
+    const wasPlaying = playing;
+    if (wasPlaying) await pause();
+    load(i);
+    setStatus("idle");
+    if (wasPlaying) await play();
+  }
+
+  /**
+   * HEAD request for the current track. Resolves to false (and sets the
+   * "missing" error) only when the server says it isn't there; network
+   * or CORS trouble counts as "probably fine".
+   */
+  function preflight() {
+    const { src } = tracks[index];
+    if (!preflights.has(src)) {
+      preflights.set(src, fetch(src, { method: "HEAD" })
+        // Dev servers and SPA hosts answer unknown paths with index.html
+        .then((res) => res.ok && !/text\/html/.test(res.headers.get("content-type") || ""))
+        .catch(() => true));
+    }
+
+    return preflights.get(src).then((ok) => {
+      if (!ok && tracks[index].src === src && !playing) setStatus("error", "missing");
+      return ok;
+    });
+  }
+
+  function seek(seconds) {
+    if (!Number.isFinite(audio.duration)) return;
+    audio.currentTime = Math.min(Math.max(seconds, 0), audio.duration);
+    emit();
+  }
+
+  function setLevel(v) {
+    level = Math.min(Math.max(v, 0), 1);
+    if (playing) fadeTo(targetVolume(), 120);
+  }
+
+  // --- Media Session (lock screen / notification controls) ---
+  const session = typeof navigator !== "undefined" ? navigator.mediaSession : null;
+  let sessionClaimed = false;
+
+  function updateMetadata() {
+    if (!sessionClaimed || typeof MediaMetadata === "undefined") return;
+    const { title, artist } = tracks[index];
+    session.metadata = new MediaMetadata({ title, artist, album: document.title });
+  }
+
+  function updatePositionState() {
+    if (!sessionClaimed || !session.setPositionState || !Number.isFinite(audio.duration)) return;
+    try {
+      session.setPositionState({
+        duration: audio.duration,
+        position: Math.min(audio.currentTime, audio.duration),
+        playbackRate: audio.playbackRate
+      });
+    } catch {}
+  }
+
+  function claimMediaSession() {
+    if (!session || sessionClaimed) return;
+    sessionClaimed = true;
+
+    const handlers = {
+      play: () => play().catch(() => {}),
+      pause: () => pause(),
+      previoustrack: () => select(index - 1),
+      nexttrack: () => select(index + 1),
+      seekto: (e) => seek(e.seekTime)
+    };
+    for (const [action, fn] of Object.entries(handlers)) {
+      try { session.setActionHandler(action, fn); } catch {}
+    }
+    updateMetadata();
+  }
+
+  audio.addEventListener("timeupdate", emit);
+  audio.addEventListener("loadedmetadata", emit);
+  audio.addEventListener("ended", () => {
+    // Single tracks loop on their own; playlists move on
+    if (tracks.length > 1) {
+      load(index + 1);
+      play().catch(() => {});
+    }
+  });
+  audio.addEventListener("waiting", () => {
+    if (playing) setStatus("loading");
+  });
+  audio.addEventListener("playing", () => {
+    if (playing) setStatus("playing");
+  });
+  audio.addEventListener("error", () => {
+    if (!audio.src) return;
+    playing = false;
+    preflight().then((ok) => {
+      if (ok) setStatus("error", "failed");
+    });
+  });
+  audio.addEventListener("pause", () => {
+    // Paused from outside (OS, headphones unplugged)
+    if (playing && !audio.ended) {
+      playing = false;
+      setStatus("idle");
+    }
+  });
+
+  return {
+    audio,
+    get output() {
+      return gain;
+    },
+    play,
+    pause,
+    toggle,
+    next: () => select(index + 1),
+    prev: () => select(index - 1),
+    select,
+    seek,
+    setLevel,
+    preflight,
+    isPlaying: () => playing,
+    getState: state,
+    subscribe(fn) {
+      listeners.add(fn);
+      fn(state());
+      return () => listeners.delete(fn);
+    }
+  };
+}
@@ -0,0 +1,59 @@
+/**
+ * UI sound effects (synthesized, see ./voices.js):
+ * - escape(): little upward "whoop" when NO runs away (throttled)
+ * - tease(): a sprinkle of high music-box pings
+ * - yes(): a rising arpeggio for the big YES burst
+ * Silent until the mixer is audible (first tap done, not muted).
+ */
+
+import { midiToFreq, musicBoxNote, sweep } from "./voices.js";
+
+const ESCAPE_MIN_GAP = 0.18; // seconds
+
+export function createSfx(mixer) {
+  let lastEscape = -Infinity;
+
+  // Returns [ctx, dest] when sound can play right now
+  function target() {
+    if (!mixer.isAudible()) return null;
+    return [mixer.context(), mixer.output()];
+  }
+
+  function escape() {
+    const t = target();
+    if (!t) return;
+    const [ctx, dest] = t;
+    const now = ctx.currentTime;
+    if (now - lastEscape < ESCAPE_MIN_GAP) return;
+    lastEscape = now;
+
+    const from = 380 + Math.random() * 120;
+    sweep(ctx, dest, from, from * 2.4, now, 0.16, { type: "triangle", gain: 0.06 });
+  }
+
+  function tease() {
+    const t = target();
+    if (!t) return;
+    const [ctx, dest] = t;
+    const now = ctx.currentTime;
+
+    const notes = [84, 86, 88, 91, 93];
+    for (let i = 0; i < 3; i++) {
+      const note = notes[Math.floor(Math.random() * notes.length)];
+      musicBoxNote(ctx, dest, midiToFreq(note), now + i * 0.06, { gain: 0.07, decay: 0.5 });
+    }
+  }
+
+  function yes() {
+    const t = target();
+    if (!t) return;
+    const [ctx, dest] = t;
+    const now = ctx.currentTime;
+
+    [72, 76, 79, 84, 88, 91].forEach((note, i) => {
+      musicBoxNote(ctx, dest, midiToFreq(note), now + i * 0.08, { gain: 0.12, decay: 1.4 });
+    });
+  }
+
+  return { escape, tease, yes };
+}
@@ -0,0 +1,210 @@
+/**
+ * Built-in generative soundtrack (set `music: "synth"` in the config):
+ * - Soft pad chords over a slow I–vi–IV–V loop, a sine bass on each bar
+ *   and a music-box melody wandering over a pentatonic scale
+ * - Scheduled a little ahead of time on the shared mixer's context
+ * - Same interface as the file player (./musicPlayer.js), so the letter
+ *   dialog drives it with the same buttons; it has no duration to seek
+ */
+
+import { t } from "../i18n/index.js";
+import { bassNote, midiToFreq, musicBoxNote, padChord } from "./voices.js";
+
+export const SYNTH_MUSIC = "synth";
+
+const BPM = 72;
+const BEAT = 60 / BPM;
+const BEATS_PER_BAR = 4;
+
+// Bass note + pad voicing per bar (MIDI)
+const PROGRESSION = [
+  { bass: 36, pad: [60, 64, 67, 71] }, // Cmaj7
+  { bass: 33, pad: [57, 60, 64, 67] }, // Am7
+  { bass: 29, pad: [57, 60, 65, 69] }, // Fmaj7
+  { bass: 31, pad: [55, 59, 62, 67] }  // G
+];
+const MELODY_SCALE = [72, 74, 76, 79, 81, 84, 86, 88]; // C major pentatonic
+
+const LOOKAHEAD = 0.4;      // seconds scheduled ahead
+const SCHEDULE_EVERY = 100; // ms
+const FADE_IN = 1.5;
+const FADE_OUT = 0.6;
+
+export function createSoundtrack({ mixer }) {
+  const track = { title: t("music.synthTitle"), artist: "", src: "" };
+
+  let out = null; // per-soundtrack gain, used for fades
+  let timer = 0;
+  let playing = false;
+  let status = "idle";
+  let error = null;
+
+  let nextBeatTime = 0;
+  let beat = 0;
+  let melodyStep = 3;
+  let startedAt = 0;
+  let elapsedBefore = 0;
+
+  const listeners = new Set();
+
+  function elapsed() {
+    const ctx = mixer.context();
+    return elapsedBefore + (playing && ctx ? ctx.currentTime - startedAt : 0);
+  }
+
+  function state() {
+    return {
+      status,
+      error,
+      playing,
+      index: 0,
+      track,
+      trackCount: 1,
+      currentTime: elapsed(),
+      duration: 0
+    };
+  }
+
+  function emit() {
+    const s = state();
+    listeners.forEach((fn) => {
+      try { fn(s); } catch {}
+    });
+  }
+
+  function setStatus(next, reason = null) {
+    status = next;
+    error = next === "error" ? reason : null;
+    emit();
+  }
+
+  function scheduleBeat(ctx, time) {
+    const bar = PROGRESSION[Math.floor(beat / BEATS_PER_BAR) % PROGRESSION.length];
+    const beatInBar = beat % BEATS_PER_BAR;
+
+    if (beatInBar === 0) {
+      const barLength = BEAT * BEATS_PER_BAR;
+      padChord(ctx, out, bar.pad.map(midiToFreq), time, barLength);
+      bassNote(ctx, out, midiToFreq(bar.bass), time, barLength * 0.9);
+    }
+
+    // Melody: a small random walk, sometimes resting, sometimes an
+    // extra eighth note
+    if (Math.random() < 0.8) {
+      melodyStep += Math.floor(Math.random() * 5) - 2;
+      melodyStep = Math.max(0, Math.min(MELODY_SCALE.length - 1, melodyStep));
+      musicBoxNote(ctx, out, midiToFreq(MELODY_SCALE[melodyStep]), time);
+
+      if (Math.random() < 0.3) {
+        const step = Math.max(0, melodyStep - 1);
+        musicBoxNote(ctx, out, midiToFreq(MELODY_SCALE[step]), time + BEAT / 2, { gain: 0.1 });
+      }
+    }
+  }
+
+  function schedule() {
+    const ctx = mixer.context();
+    while (nextBeatTime < ctx.currentTime + LOOKAHEAD) {
+      scheduleBeat(ctx, nextBeatTime);
+      nextBeatTime += BEAT;
+      beat++;
+    }
+    emit();
+  }
+
+  // Resolves once the context runs; false if the browser keeps it suspended
+  async function ensureRunning(ctx) {
+    if (ctx.state === "running") return true;
+    await Promise.race([
+      ctx.resume().catch(() => {}),
+      new Promise((resolve) => setTimeout(resolve, 300))
+    ]);
+    return ctx.state === "running";
+  }
+
+  async function play() {
+    if (playing) return;
+    const ctx = mixer.context();
+    if (!ctx) {
+      setStatus("error", "failed");
+      throw new Error("Web Audio is not available");
+    }
+
+    setStatus("loading");
+    if (!(await ensureRunning(ctx))) {
+      setStatus("blocked");
+      const err = new Error("Audio context is suspended");
+      err.name = "NotAllowedError";
+      throw err;
+    }
+
+    if (!out) {
+      out = ctx.createGain();
+      out.connect(mixer.output());
+    }
+
+    const now = ctx.currentTime;
+    out.gain.cancelScheduledValues(now);
+    out.gain.setValueAtTime(out.gain.value, now);
+    out.gain.linearRampToValueAtTime(1, now + FADE_IN);
+
+    playing = true;
+    startedAt = now;
+    if (!timer) {
+      nextBeatTime = now + 0.05;
+      timer = setInterval(schedule, SCHEDULE_EVERY);
+      schedule();
+    }
+    setStatus("playing");
+  }
+
+  async function pause() {
+    if (!playing) return;
+    const ctx = mixer.context();
+    elapsedBefore = elapsed();
+    playing = false;
+    setStatus("idle");
+
+    const now = ctx.currentTime;
+    out.gain.cancelScheduledValues(now);
+    out.gain.setValueAtTime(out.gain.value, now);
+    out.gain.linearRampToValueAtTime(0, now + FADE_OUT);
+
+    // Stop scheduling once faded out (unless play() came back first)
+    await new Promise((resolve) => setTimeout(resolve, FADE_OUT * 1000));
+    if (!playing) {
+      clearInterval(timer);
+      timer = 0;
+    }
+  }
+
+  async function toggle() {
+    if (playing) await pause();
+    else await play();
+  }
+
+  const noop = async () => {};
+
+  return {
+    audio: null,
+    get output() {
+      return out;
+    },
+    play,
+    pause,
+    toggle,
+    next: noop,
+    prev: noop,
+    select: noop,
+    seek() {},
+    setLevel() {}, // the mixer's master gain already applies
+    preflight: async () => true,
+    isPlaying: () => playing,
+    getState: state,
+    subscribe(fn) {
+      listeners.add(fn);
+      fn(state());
+      return () => listeners.delete(fn);
+    }
+  };
+}
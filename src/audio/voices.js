@@ -0,0 +1,96 @@
+/**
+ * Synth voices shared by the soundtrack and the UI sound effects.
+ * Each call schedules one short-lived node graph at `time` (AudioContext
+ * seconds) into `dest`; nodes disconnect themselves once finished.
+ */
+
+export function midiToFreq(note) {
+  return 440 * 2 ** ((note - 69) / 12);
+}
+
+// Sine + a couple of bell-like partials, quick attack, long exponential tail
+export function musicBoxNote(ctx, dest, freq, time, { gain = 0.16, decay = 1.6 } = {}) {
+  const out = ctx.createGain();
+  out.gain.setValueAtTime(0.0001, time);
+  out.gain.exponentialRampToValueAtTime(gain, time + 0.006);
+  out.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+  out.connect(dest);
+
+  const partials = [[1, 1], [2, 0.28], [4.17, 0.12]];
+  partials.forEach(([ratio, amp], i) => {
+    const osc = ctx.createOscillator();
+    const level = ctx.createGain();
+    osc.frequency.value = freq * ratio;
+    level.gain.value = amp;
+    osc.connect(level).connect(out);
+    osc.start(time);
+    osc.stop(time + decay + 0.05);
+    if (i === 0) osc.onended = () => out.disconnect();
+  });
+}
+
+// Detuned triangles through a soft lowpass, slow swell in and out
+export function padChord(ctx, dest, freqs, time, duration, { gain = 0.05 } = {}) {
+  const attack = Math.min(1.2, duration * 0.4);
+  const release = 1.4;
+  const end = time + duration + release;
+
+  const out = ctx.createGain();
+  out.gain.setValueAtTime(0, time);
+  out.gain.linearRampToValueAtTime(gain, time + attack);
+  out.gain.setValueAtTime(gain, time + duration);
+  out.gain.linearRampToValueAtTime(0, end);
+
+  const filter = ctx.createBiquadFilter();
+  filter.type = "lowpass";
+  filter.frequency.value = 1200;
+  filter.Q.value = 0.3;
+  filter.connect(out).connect(dest);
+
+  freqs.forEach((freq, i) => {
+    for (const cents of [-7, 7]) {
+      const osc = ctx.createOscillator();
+      osc.type = "triangle";
+      osc.frequency.value = freq;
+      osc.detune.value = cents;
+      osc.connect(filter);
+      osc.start(time);
+      osc.stop(end + 0.05);
+      if (i === 0 && cents > 0) osc.onended = () => out.disconnect();
+    }
+  });
+}
+
+// Soft sine bass note (also what the audio-reactive heart picks up)
+export function bassNote(ctx, dest, freq, time, duration, { gain = 0.12 } = {}) {
+  const out = ctx.createGain();
+  out.gain.setValueAtTime(0.0001, time);
+  out.gain.exponentialRampToValueAtTime(gain, time + 0.03);
+  out.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+  out.connect(dest);
+
+  const osc = ctx.createOscillator();
+  osc.frequency.value = freq;
+  osc.connect(out);
+  osc.start(time);
+  osc.stop(time + duration + 0.05);
+  osc.onended = () => out.disconnect();
+}
+
+// Pitch glide, for "whoosh" style effects
+export function sweep(ctx, dest, from, to, time, duration, { type = "sine", gain = 0.08 } = {}) {
+  const out = ctx.createGain();
+  out.gain.setValueAtTime(0.0001, time);
+  out.gain.exponentialRampToValueAtTime(gain, time + 0.01);
+  out.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+  out.connect(dest);
+
+  const osc = ctx.createOscillator();
+  osc.type = type;
+  osc.frequency.setValueAtTime(from, time);
+  osc.frequency.exponentialRampToValueAtTime(to, time + duration);
+  osc.connect(out);
+  osc.start(time);
+  osc.stop(time + duration + 0.05);
+  osc.onended = () => out.disconnect();
+}
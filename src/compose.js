@@ -0,0 +1,128 @@
+import "./compose.css";
+
+import { DEFAULT_SURPRISE, mergeSurprise } from "./config/surprise.js";
+import { buildShareUrl, readSharedSurprise } from "./config/shareLink.js";
+import surpriseConfig from "./surprise.config.js";
+import { applyTheme, DEFAULT_THEME, listThemes, THEME_MESSAGE } from "./theme/themes.js";
+import { listEnvironments } from "./theme/environments.js";
+import { listNoButtonModes } from "./ui/noButtonModes.js";
+
+/**
+ * Composer page:
+ * - One form field per surprise field (data-field="letter.title" etc.)
+ * - Live preview = the real page in an iframe, fed through a share link
+ * - "Copy share link" copies the same URL the preview uses
+ * - Theme changes are sent to the running preview instead of reloading it,
+ *   and restyle the composer itself
+ */
+
+const form = document.getElementById("composeForm");
+const shareInput = document.getElementById("shareUrl");
+const copyBtn = document.getElementById("btnCopy");
+const statusEl = document.getElementById("composeStatus");
+const frame = document.getElementById("previewFrame");
+
+const fields = Array.from(form.querySelectorAll("[data-field]"));
+
+// The surprise page lives next to compose.html
+const pageUrl = new URL("./", window.location.href).toString();
+
+function getPath(obj, path) {
+  return path.split(".").reduce((o, k) => o?.[k], obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split(".");
+  const last = keys.pop();
+  let o = obj;
+  for (const k of keys) o = o[k] ??= {};
+  o[last] = value;
+}
+
+function fillForm(surprise) {
+  for (const el of fields) {
+    const value = getPath(surprise, el.dataset.field);
+    if (el.type === "checkbox") el.checked = value === true;
+    else el.value = value ?? "";
+  }
+}
+
+function fieldValue(el) {
+  if (el.type === "checkbox") return el.checked;
+  if (el.type === "number") return Number.isNaN(el.valueAsNumber) ? undefined : el.valueAsNumber;
+  return el.value;
+}
+
+function readForm() {
+  const out = {};
+  for (const el of fields) {
+    setPath(out, el.dataset.field, fieldValue(el));
+  }
+  return out;
+}
+
+// Theme / background <select> options come from their registries
+function fillOptions(field, entries) {
+  const select = form.querySelector(`[data-field="${field}"]`);
+  if (!select) return;
+  select.replaceChildren(...entries.map(({ name, label }) => new Option(label, name)));
+}
+
+let previewId = 0;
+let debounceTimer = 0;
+let previewContent = "";
+
+async function refresh() {
+  const surprise = readForm();
+  const url = await buildShareUrl(surprise, pageUrl);
+  shareInput.value = url;
+
+  const { theme, ...content } = surprise;
+  applyTheme(theme);
+  const contentKey = JSON.stringify(content);
+  if (contentKey === previewContent && frame.contentWindow) {
+    frame.contentWindow.postMessage({ type: THEME_MESSAGE, theme }, window.location.origin);
+    return;
+  }
+  previewContent = contentKey;
+
+  // A changed query forces the iframe to reload (a hash-only change would not)
+  const preview = new URL(url);
+  preview.searchParams.set("preview", String(++previewId));
+  frame.src = preview.toString();
+}
+
+function scheduleRefresh() {
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(refresh, 450);
+}
+
+async function copyLink() {
+  try {
+    await navigator.clipboard.writeText(shareInput.value);
+    statusEl.textContent = "Link copied ✅";
+  } catch {
+    shareInput.select();
+    statusEl.textContent = "Press Ctrl+C / ⌘C to copy the selected link.";
+  }
+}
+
+async function start() {
+  applyTheme(DEFAULT_THEME);
+  // Opening compose.html#s=... edits an existing surprise.
+  // Keep "{recipient}" placeholders as written: they are filled on the page.
+  const shared = await readSharedSurprise();
+  const raw = shared ? mergeSurprise(surpriseConfig, shared) : surpriseConfig;
+  fillOptions("theme", listThemes());
+  fillOptions("environment", listEnvironments());
+  fillOptions("noButton.mode", listNoButtonModes());
+  fillForm(mergeSurprise(DEFAULT_SURPRISE, raw));
+
+  form.addEventListener("input", scheduleRefresh);
+  form.addEventListener("submit", (e) => e.preventDefault());
+  copyBtn.addEventListener("click", copyLink);
+
+  refresh();
+}
+
+start();
@@ -0,0 +1,124 @@
+/**
+ * Share links:
+ * - A surprise travels in the URL hash: #s=<payload>
+ * - payload = <format><base64url data>
+ *     "z" -> deflate-raw compressed JSON (CompressionStream)
+ *     "j" -> plain JSON (browsers without CompressionStream)
+ * - The JSON carries a version field "v" so the format can evolve
+ * - Decoding never throws: anything malformed resolves to null
+ * - A shared letter body / music clears the deploy's letter pages /
+ *   playlist (links from the composer carry only body and music)
+ */
+
+export const SHARE_VERSION = 1;
+const HASH_KEY = "s";
+
+const SHARED_FIELDS = ["recipient", "question", "subtitle", "hint", "buttons", "noButton", "letter", "music", "playlist", "theme", "environment"];
+
+// A shared music path must stay inside the deploy (no scheme, no "..")
+function isSafeMusicPath(p) {
+  return typeof p === "string" && /^[\w\-./ ]+$/.test(p) && !p.split("/").includes("..") && !p.startsWith("/");
+}
+
+const hasCompression =
+  typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+
+function bytesToBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i++) bin += String.fromCharCode(bytes[i]);
+  return btoa(bin).replaceAll("+", "-").replaceAll("/", "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(str) {
+  const b64 = str.replaceAll("-", "+").replaceAll("_", "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+async function pipeBytes(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(out).arrayBuffer());
+}
+
+export async function encodeSurprise(surprise) {
+  const data = { v: SHARE_VERSION };
+  for (const key of SHARED_FIELDS) {
+    if (surprise[key] !== undefined) data[key] = surprise[key];
+  }
+
+  const json = new TextEncoder().encode(JSON.stringify(data));
+
+  if (hasCompression) {
+    const packed = await pipeBytes(json, new CompressionStream("deflate-raw"));
+    return `z${bytesToBase64Url(packed)}`;
+  }
+  return `j${bytesToBase64Url(json)}`;
+}
+
+export async function decodeSurprise(payload) {
+  try {
+    if (typeof payload !== "string" || payload.length < 2) return null;
+
+    const format = payload[0];
+    let bytes = base64UrlToBytes(payload.slice(1));
+
+    if (format === "z") {
+      if (!hasCompression) return null;
+      bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+    } else if (format !== "j") {
+      return null;
+    }
+
+    const data = JSON.parse(new TextDecoder().decode(bytes));
+    if (!data || typeof data !== "object" || data.v !== SHARE_VERSION) return null;
+
+    const shared = {};
+    for (const key of SHARED_FIELDS) {
+      if (data[key] !== undefined) shared[key] = data[key];
+    }
+    if ("music" in shared && !isSafeMusicPath(shared.music)) {
+      console.warn("[surprise] share link music path rejected, using default.");
+      delete shared.music;
+    }
+    if (Array.isArray(shared.playlist)) {
+      const safe = shared.playlist.filter((track) =>
+        isSafeMusicPath(typeof track === "string" ? track : track?.file));
+      if (safe.length < shared.playlist.length) {
+        console.warn("[surprise] share link playlist entries rejected.");
+      }
+      shared.playlist = safe;
+    }
+
+    // The link is merged over the deploy's config: a shared letter body or
+    // song must not lose to the config's own pages or playlist
+    if (typeof shared.letter?.body === "string" && !("pages" in shared.letter)) {
+      shared.letter = { ...shared.letter, pages: [] };
+    }
+    if ("music" in shared && !("playlist" in shared)) shared.playlist = [];
+    return shared;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the surprise carried by the current URL hash, if any.
+ * Resolves to null when there is no payload or it can't be decoded.
+ */
+export async function readSharedSurprise(hash = window.location.hash) {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ""));
+  const payload = params.get(HASH_KEY);
+  if (!payload) return null;
+
+  const shared = await decodeSurprise(payload);
+  if (!shared) console.warn("[surprise] share link could not be decoded, using default content.");
+  return shared;
+}
+
+export async function buildShareUrl(surprise, baseUrl = window.location.href) {
+  const url = new URL(baseUrl);
+  url.hash = `${HASH_KEY}=${await encodeSurprise(surprise)}`;
+  return url.toString();
+}
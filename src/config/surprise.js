@@ -0,0 +1,214 @@
+/**
+ * Surprise config resolver:
+ * - DEFAULT_SURPRISE holds the fallback text for every field
+ *   (in the active locale, see src/i18n)
+ * - resolveSurprise() validates a raw config field by field
+ * - Missing / invalid fields fall back to the default with a warning
+ *   (fields in OPTIONAL_FIELDS may be left out silently)
+ * - "{recipient}" placeholders are filled in at the end
+ * - mergeSurprise() layers a partial config (e.g. a share link) on top
+ */
+
+import { t } from "../i18n/index.js";
+
+export const DEFAULT_SURPRISE = {
+  recipient: "",
+
+  question: t("card.question"),
+  subtitle: t("card.subtitle"),
+  hint: t("card.hint"),
+
+  buttons: {
+    yes: t("buttons.yes"),
+    no: t("buttons.no")
+  },
+
+  // NO button game: "classic" (runs away), "shrink" (shrinks until it
+  // disappears), "turnsYes" (becomes a YES after `attempts` tries),
+  // "growYes" (YES grows each time) or "pleading" (cycles `messages`)
+  noButton: {
+    mode: "classic",
+    attempts: 5,
+    // Optional: own pleading messages (built-in ones otherwise)
+    messages: []
+  },
+
+  letter: {
+    title: t("letter.title"),
+    body: t("letter.body"),
+    // Optional: explicit pages (strings or { body, action, typewriter });
+    // otherwise a line with only "---" in body starts a new page
+    pages: [],
+    typewriter: false
+  },
+
+  // A file under public/, or "synth" for the built-in melody
+  music: "music/my-song.mp3",
+  // Optional: several songs (paths or { file, title, artist }) played in
+  // order in the letter; when empty, `music` is the only track
+  playlist: [],
+
+  // "classic", "midnightGold", "pastel", "monochrome" or "highContrast"
+  theme: "classic",
+
+  // Background: "auto" (from local time and season), "night", "sunset",
+  // "winter" or "fireflies"
+  environment: "auto"
+};
+
+// The card text defaults to the visitor's language, so it may be left out
+const OPTIONAL_FIELDS = new Set(["question", "subtitle", "hint", "buttons", "letter.pages", "letter.typewriter", "playlist", "noButton.messages"]);
+
+function isPlainObject(v) {
+  return v !== null && typeof v === "object" && !Array.isArray(v);
+}
+
+function warn(path, reason, outcome = "using default") {
+  console.warn(`[surprise] "${path}" ${reason}, ${outcome}.`);
+}
+
+// Letter pages: keep valid entries, drop the rest one by one
+function pickPages(value, path) {
+  if (!Array.isArray(value)) {
+    warn(path, "must be an array");
+    return [];
+  }
+
+  const pages = [];
+  value.forEach((page, i) => {
+    if (typeof page === "string") {
+      pages.push(page);
+    } else if (isPlainObject(page) && typeof page.body === "string") {
+      const clean = { body: page.body };
+      if (typeof page.action === "string") clean.action = page.action;
+      if (typeof page.typewriter === "boolean") clean.typewriter = page.typewriter;
+      pages.push(clean);
+    } else {
+      warn(`${path}[${i}]`, "must be a string or { body }", "skipped");
+    }
+  });
+  return pages;
+}
+
+// Playlist: same idea, entries are paths or { file, title, artist }
+function pickPlaylist(value, path) {
+  if (!Array.isArray(value)) {
+    warn(path, "must be an array");
+    return [];
+  }
+
+  const tracks = [];
+  value.forEach((track, i) => {
+    if (typeof track === "string" && track.trim() !== "") {
+      tracks.push(track);
+    } else if (isPlainObject(track) && typeof track.file === "string" && track.file.trim() !== "") {
+      const clean = { file: track.file };
+      if (typeof track.title === "string") clean.title = track.title;
+      if (typeof track.artist === "string") clean.artist = track.artist;
+      tracks.push(clean);
+    } else {
+      warn(`${path}[${i}]`, "must be a path or { file }", "skipped");
+    }
+  });
+  return tracks;
+}
+
+// Pleading messages: non-empty strings only
+function pickMessages(value, path) {
+  if (!Array.isArray(value)) {
+    warn(path, "must be an array");
+    return [];
+  }
+
+  return value.filter((message, i) => {
+    if (typeof message === "string" && message.trim() !== "") return true;
+    warn(`${path}[${i}]`, "must be a non-empty string", "skipped");
+    return false;
+  });
+}
+
+const ARRAY_PICKERS = {
+  "letter.pages": pickPages,
+  playlist: pickPlaylist,
+  "noButton.messages": pickMessages
+};
+
+/**
+ * Walk `defaults` and pick the matching value from `raw` when it has the
+ * right shape: same type as the default (strings may only be empty where
+ * the default is empty); arrays go through ARRAY_PICKERS.
+ */
+function pick(raw, defaults, path) {
+  const out = {};
+
+  for (const key of Object.keys(defaults)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+    const def = defaults[key];
+    const value = raw?.[key];
+
+    if (isPlainObject(def)) {
+      if (value === undefined) {
+        if (raw !== undefined && !OPTIONAL_FIELDS.has(fieldPath)) warn(fieldPath, "is missing");
+        out[key] = pick(undefined, def, fieldPath);
+      } else if (!isPlainObject(value)) {
+        warn(fieldPath, "must be an object");
+        out[key] = pick(undefined, def, fieldPath);
+      } else {
+        out[key] = pick(value, def, fieldPath);
+      }
+      continue;
+    }
+
+    if (value === undefined) {
+      if (raw !== undefined && !OPTIONAL_FIELDS.has(fieldPath)) warn(fieldPath, "is missing");
+      out[key] = def;
+    } else if (Array.isArray(def)) {
+      out[key] = ARRAY_PICKERS[fieldPath](value, fieldPath);
+    } else if (typeof value !== typeof def) {
+      warn(fieldPath, `must be a ${typeof def}`);
+      out[key] = def;
+    } else if (typeof def === "string" && def !== "" && value.trim() === "") {
+      warn(fieldPath, "is empty");
+      out[key] = def;
+    } else {
+      out[key] = value;
+    }
+  }
+
+  return out;
+}
+
+function fillRecipient(node, recipient) {
+  if (typeof node === "string") return node.replaceAll("{recipient}", recipient);
+  if (Array.isArray(node)) return node.map((item) => fillRecipient(item, recipient));
+  if (!isPlainObject(node)) return node;
+  const out = {};
+  for (const key of Object.keys(node)) out[key] = fillRecipient(node[key], recipient);
+  return out;
+}
+
+/**
+ * Deep-merge `override` onto `base` (plain objects only). Values are not
+ * validated here — run the result through resolveSurprise().
+ */
+export function mergeSurprise(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) return override ?? base;
+
+  const out = { ...base };
+  for (const key of Object.keys(override)) {
+    out[key] = isPlainObject(base[key]) && isPlainObject(override[key])
+      ? mergeSurprise(base[key], override[key])
+      : override[key];
+  }
+  return out;
+}
+
+export function resolveSurprise(raw) {
+  if (raw !== undefined && !isPlainObject(raw)) {
+    console.warn("[surprise] config must be an object, using defaults.");
+    raw = undefined;
+  }
+
+  const surprise = pick(raw ?? {}, DEFAULT_SURPRISE, "");
+  return fillRecipient(surprise, surprise.recipient);
+}
@@ -0,0 +1,58 @@
+export default {
+  "page.title": "Valentine's Day Surprise",
+
+  "card.aria": "Valentine question",
+  "card.badge": "Valentine's Day Surprise",
+  "card.question": "Will you be my Valentine?",
+  "card.subtitle": "I love you more than words can say.",
+  "card.hint": "Tip: try to catch the “NO” 😄",
+  "card.buttonsAria": "Answer buttons",
+
+  "buttons.yes": "Yes",
+  "buttons.no": "No",
+
+  "no.tease1": "Missed! The “NO” got away again 😄",
+  "no.tease2": "Almost… try again!",
+  "no.tease3": "Are you sure? “YES” is right there ❤️",
+  "no.tease4": "The “NO” won't let itself be caught!",
+  "no.plead1": "Are you sure?",
+  "no.plead2": "Really sure?",
+  "no.plead3": "Think again 🥺",
+  "no.plead4": "Pretty please?",
+  "no.plead5": "You're breaking my heart 💔",
+  "no.plead6": "Last chance…",
+  "no.turnedYes": "The “NO” gave up: it's a “YES” now ❤️",
+  "no.vanished": "The “NO” has disappeared. Only “YES” is left ❤️",
+
+  "letter.title": "A letter for you ❤️",
+  "letter.body":
+`Thank you for being the warmest part of my days.
+You make the ordinary feel magical — just by being you.
+If you ever forget how loved you are… come back to this moment.`,
+
+  "sound.aria": "Sound",
+  "sound.mute": "Mute",
+  "sound.unmute": "Unmute",
+  "sound.volume": "Volume",
+  "music.synthTitle": "Built-in melody",
+
+  "modal.closeAria": "Close letter",
+  "modal.close": "Close",
+  "modal.progress": "Page {page} / {total}",
+  "modal.prev": "Previous page",
+  "modal.next": "Next page",
+  "modal.skip": "Skip",
+  "modal.musicPlay": "Play the music",
+  "modal.musicStop": "Stop the music",
+  "modal.musicRetry": "Try again",
+  "modal.musicLoading": "Loading…",
+  "modal.musicTapToPlay": "Tap to play ♪",
+  "modal.musicLoadingStatus": "Loading the music…",
+  "modal.musicBlocked": "Your browser kept the music quiet. One tap and it plays.",
+  "modal.musicError": "The music couldn't be played.",
+  "modal.musicMissing": "Song not found: {file}",
+  "modal.musicLabel": "Music",
+  "modal.seek": "Song position",
+  "modal.prevTrack": "Previous song",
+  "modal.nextTrack": "Next song"
+};
@@ -0,0 +1,58 @@
+export default {
+  "page.title": "Surprise de la Saint-Valentin",
+
+  "card.aria": "Question de la Saint-Valentin",
+  "card.badge": "Surprise de la Saint-Valentin",
+  "card.question": "Veux-tu être ma Valentine ?",
+  "card.subtitle": "Je t'aime plus que les mots ne peuvent dire.",
+  "card.hint": "Conseil : essaie d'attraper le « NON » 😄",
+  "card.buttonsAria": "Boutons de réponse",
+
+  "buttons.yes": "Oui",
+  "buttons.no": "Non",
+
+  "no.tease1": "Raté ! Le « NON » s'est encore échappé 😄",
+  "no.tease2": "Presque… essaie encore !",
+  "no.tease3": "Tu es sûre ? Le « OUI » est juste à côté ❤️",
+  "no.tease4": "Le « NON » ne se laisse pas attraper !",
+  "no.plead1": "Tu es sûre ?",
+  "no.plead2": "Vraiment sûre ?",
+  "no.plead3": "Réfléchis encore 🥺",
+  "no.plead4": "S'il te plaît ?",
+  "no.plead5": "Tu me brises le cœur 💔",
+  "no.plead6": "Dernière chance…",
+  "no.turnedYes": "Le « NON » a abandonné : c'est un « OUI » maintenant ❤️",
+  "no.vanished": "Le « NON » a disparu. Il ne reste que le « OUI » ❤️",
+
+  "letter.title": "Une lettre pour toi ❤️",
+  "letter.body":
+`Merci d'être la part la plus douce de mes journées.
+Tu rends l'ordinaire magique — simplement en étant toi.
+Si un jour tu oublies à quel point tu es aimée… reviens à cet instant.`,
+
+  "sound.aria": "Son",
+  "sound.mute": "Couper le son",
+  "sound.unmute": "Remettre le son",
+  "sound.volume": "Volume",
+  "music.synthTitle": "Mélodie maison",
+
+  "modal.closeAria": "Fermer la lettre",
+  "modal.close": "Fermer",
+  "modal.progress": "Page {page} / {total}",
+  "modal.prev": "Page précédente",
+  "modal.next": "Page suivante",
+  "modal.skip": "Passer",
+  "modal.musicPlay": "Lance la musique",
+  "modal.musicStop": "Coupe la musique",
+  "modal.musicRetry": "Réessayer",
+  "modal.musicLoading": "Chargement…",
+  "modal.musicTapToPlay": "Touche pour écouter ♪",
+  "modal.musicLoadingStatus": "Chargement de la musique…",
+  "modal.musicBlocked": "Ton navigateur a mis la musique en sourdine. Un seul geste et elle démarre.",
+  "modal.musicError": "Impossible de lire la musique.",
+  "modal.musicMissing": "Chanson introuvable : {file}",
+  "modal.musicLabel": "Musique",
+  "modal.seek": "Position dans la chanson",
+  "modal.prevTrack": "Chanson précédente",
+  "modal.nextTrack": "Chanson suivante"
+};
@@ -0,0 +1,65 @@
+import fr from "./fr.js";
+import en from "./en.js";
+
+/**
+ * i18n:
+ * - One flat message catalog per locale (fr, en)
+ * - Locale = ?lang= override, else navigator.language, else French
+ * - t(key, params) looks up the active locale, then French, then the key
+ * - applyTranslations(root) fills [data-i18n] text and
+ *   [data-i18n-<attr>] attributes (e.g. data-i18n-aria-label)
+ */
+
+const catalogs = { fr, en };
+export const DEFAULT_LOCALE = "fr";
+
+function normalize(tag) {
+  const base = String(tag || "").toLowerCase().split(/[-_]/)[0];
+  return base in catalogs ? base : null;
+}
+
+function detectLocale() {
+  const override = normalize(new URLSearchParams(window.location.search).get("lang"));
+  if (override) return override;
+
+  for (const tag of navigator.languages || [navigator.language]) {
+    const found = normalize(tag);
+    if (found) return found;
+  }
+  return DEFAULT_LOCALE;
+}
+
+export const locale = detectLocale();
+
+export function t(key, params) {
+  let msg = catalogs[locale][key] ?? catalogs[DEFAULT_LOCALE][key];
+  if (msg === undefined) {
+    console.warn(`[i18n] missing message "${key}"`);
+    return key;
+  }
+  if (params) {
+    for (const [name, value] of Object.entries(params)) {
+      msg = msg.replaceAll(`{${name}}`, String(value));
+    }
+  }
+  return msg;
+}
+
+export function applyTranslations(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+
+  const ATTR_PREFIX = "data-i18n-";
+  root.querySelectorAll("*").forEach((el) => {
+    for (const attr of Array.from(el.attributes)) {
+      if (!attr.name.startsWith(ATTR_PREFIX)) continue;
+      el.setAttribute(attr.name.slice(ATTR_PREFIX.length), t(attr.value));
+    }
+  });
+
+  if (root === document) {
+    document.documentElement.lang = locale;
+    document.title = t("page.title");
+  }
+}
@@ -1,20 +1,43 @@
 import "./style.css";
 
 import { createHeartScene } from "./three/heartParticles.js";
+import { createAudioAnalyser } from "./audio/audioAnalyser.js";
+import { createAudioMixer } from "./audio/mixer.js";
+import { createMusicPlayer, tracksFromSurprise } from "./audio/musicPlayer.js";
+import { createSfx } from "./audio/sfx.js";
+import { createSoundtrack, SYNTH_MUSIC } from "./audio/soundtrack.js";
 import { createModal } from "./ui/modal.js";
+import { createSoundControls } from "./ui/soundControls.js";
 import { setupButtons } from "./ui/buttons.js";
+import { applyCardContent } from "./ui/card.js";
+import { mergeSurprise, resolveSurprise } from "./config/surprise.js";
+import { readSharedSurprise } from "./config/shareLink.js";
+import { applyTranslations } from "./i18n/index.js";
+import { applyTheme, DEFAULT_THEME, onThemeChange, THEME_MESSAGE } from "./theme/themes.js";
+import surpriseConfig from "./surprise.config.js";
 
 console.log("main.js loaded ✅");
 
+applyTranslations();
+
+// Page colors come from the theme; the surprise's own theme follows below
+applyTheme(DEFAULT_THEME);
+
 const canvas3d = document.getElementById("bg3d");
 const canvasFx = document.getElementById("fx");
 const modalRoot = document.getElementById("modalRoot");
 
-const modal = createModal(modalRoot);
-
 const scene3d = createHeartScene({
   canvas: canvas3d
 });
+onThemeChange((theme) => scene3d.setTheme(theme));
+
+// The composer (same origin) switches the preview's theme without a reload
+window.addEventListener("message", (e) => {
+  if (e.origin === window.location.origin && e.data?.type === THEME_MESSAGE) {
+    applyTheme(e.data.theme);
+  }
+});
 
 // Resize FX canvas to match viewport
 function resizeFx() {
@@ -33,13 +56,72 @@ window.addEventListener("resize", () => {
   scene3d.resize();
 }, { passive: true });
 
-setupButtons({
-  yesBtn: document.getElementById("btnYes"),
-  noBtn: document.getElementById("btnNo"),
-  fxCanvas: canvasFx,
-  modal,
-  onYes: () => {
-    // Make the heart a little happier when YES is pressed
-    scene3d.pulse();
+async function start() {
+  // A share link (#s=...) overrides the deploy's own config
+  const shared = await readSharedSurprise();
+  const surprise = resolveSurprise(shared ? mergeSurprise(surpriseConfig, shared) : surpriseConfig);
+
+  applyTheme(surprise.theme);
+  // Sky tint in style.css follows html[data-environment]
+  document.documentElement.dataset.environment = scene3d.setEnvironment(surprise.environment);
+  applyCardContent(document.querySelector(".card"), surprise);
+
+  // Letter pages can nudge the scene: { body, action: "pulse" | "burst" }
+  let fx = null;
+  function runPageAction(action) {
+    if (action === "pulse") scene3d.pulse();
+    else if (action === "burst") fx?.burst();
+    else console.warn(`Unknown letter page action "${action}"`);
   }
-});
+
+  // One mute toggle + master volume for music, soundtrack and effects
+  const mixer = createAudioMixer();
+  createSoundControls(document.getElementById("soundControls"), mixer);
+
+  // `music: "synth"` plays the built-in soundtrack instead of a file
+  const synth = surprise.music === SYNTH_MUSIC && !surprise.playlist.length;
+  const tracks = synth ? [] : tracksFromSurprise(surprise);
+
+  // Web Audio reads silence from other origins without CORS, so remote
+  // tracks stay outside the mixer's graph (plain volume, idle heart float)
+  const sameOrigin = tracks.every(
+    (track) => new URL(track.src, window.location.href).origin === window.location.origin
+  );
+  const music = synth
+    ? createSoundtrack({ mixer })
+    : createMusicPlayer({ tracks, mixer: sameOrigin ? mixer : null });
+  mixer.attach(music);
+
+  // The heart beats with the song
+  if (sameOrigin) {
+    const analyser = createAudioAnalyser({ mixer, player: music });
+    scene3d.setAudioSource(analyser);
+    music.subscribe(({ playing }) => {
+      if (playing) analyser.connect();
+    });
+  }
+
+  const modal = createModal(modalRoot, {
+    music,
+    defaultContent: surprise.letter,
+    onPageAction: runPageAction
+  });
+
+  const buttons = setupButtons({
+    yesBtn: document.getElementById("btnYes"),
+    noBtn: document.getElementById("btnNo"),
+    fxCanvas: canvasFx,
+    modal,
+    letter: surprise.letter,
+    noButton: surprise.noButton,
+    yesLabel: surprise.buttons.yes,
+    sfx: createSfx(mixer),
+    onYes: () => {
+      // Make the heart a little happier when YES is pressed
+      scene3d.pulse();
+    }
+  });
+  fx = buttons?.fx ?? null;
+}
+
+start();
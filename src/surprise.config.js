@@ -0,0 +1,35 @@
+/**
+ * Surprise config:
+ * - Edit this file to personalize the page for someone new
+ * - Any field left out (or invalid) falls back to the defaults
+ *   in src/config/surprise.js, with a warning in the console
+ * - "{recipient}" inside any text is replaced by the recipient name
+ * - question, subtitle, hint and buttons are left out so they follow the
+ *   visitor's language (src/i18n); set them to use your own words
+ */
+export default {
+  recipient: "Alina",
+
+  // "classic", "shrink", "turnsYes" (after `attempts` tries), "growYes" or "pleading"
+  noButton: {
+    mode: "classic",
+    attempts: 5
+  },
+
+  letter: {
+    title: "Une lettre pour toi ❤️",
+    body:
+`{recipient}, tu es l'unique et la plus belle lumière de ma vie.
+À tes côtés, mon monde devient un écrin de douceur, d'éclat et de pure merveille.
+Chaque instant partagé avec toi est le plus précieux des trésors, un souffle de bonheur pur.
+Merci d'exister, tout simplement.`
+  },
+
+  music: "music/my-song.mp3",
+
+  // "classic", "midnightGold", "pastel", "monochrome" or "highContrast"
+  theme: "classic",
+
+  // "auto" (from local time and season), "night", "sunset", "winter" or "fireflies"
+  environment: "auto"
+};
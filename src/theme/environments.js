@@ -0,0 +1,49 @@
+/**
+ * Scene environment names (no three.js here, so the composer can list
+ * them cheaply; the particle layers live in ../three/environments.js):
+ * - "night": the star dust alone (the original look)
+ * - "sunset": warm sky, fewer stars, drifting petals in the theme's colors
+ * - "winter": snowfall
+ * - "fireflies": summer night, softly blinking fireflies
+ * - "auto" picks one from the local time and season (pickEnvironment)
+ * - starsOpacity scales the background star dust for each of them
+ */
+
+export const AUTO_ENVIRONMENT = "auto";
+
+export const ENVIRONMENTS = {
+  night: { label: "Starry night", starsOpacity: 1 },
+  sunset: { label: "Sunset petals", starsOpacity: 0.45 },
+  winter: { label: "Winter snowfall", starsOpacity: 0.8 },
+  fireflies: { label: "Summer fireflies", starsOpacity: 0.7 }
+};
+
+export function listEnvironments() {
+  return [
+    { name: AUTO_ENVIRONMENT, label: "Automatic (time & season)" },
+    ...Object.entries(ENVIRONMENTS).map(([name, env]) => ({ name, label: env.label }))
+  ];
+}
+
+/**
+ * Local-time choice: sunset in the early evening, snow in winter months,
+ * fireflies on summer nights, plain stars otherwise.
+ */
+export function pickEnvironment(date = new Date()) {
+  const month = date.getMonth(); // 0 = January
+  const hour = date.getHours();
+
+  if (hour >= 17 && hour < 20) return "sunset";
+  if (month === 11 || month <= 1) return "winter";
+  if (month >= 5 && month <= 7 && (hour >= 20 || hour < 5)) return "fireflies";
+  return "night";
+}
+
+// "auto" and unknown names -> a concrete environment name
+export function resolveEnvironmentName(name = AUTO_ENVIRONMENT, date) {
+  if (name !== AUTO_ENVIRONMENT && !ENVIRONMENTS[name]) {
+    console.warn(`[scene] unknown environment "${name}", choosing automatically.`);
+    name = AUTO_ENVIRONMENT;
+  }
+  return name === AUTO_ENVIRONMENT ? pickEnvironment(date) : name;
+}
@@ -0,0 +1,179 @@
+/**
+ * Themes:
+ * - Every palette lives here, once: page + letter colors (as CSS custom
+ *   properties on <html>), the 3D heart / star colors, bloom and confetti ranges
+ * - applyTheme(name) switches at runtime; onThemeChange(fn) lets the
+ *   canvases recolor themselves (CSS follows the variables on its own)
+ * - Unknown names fall back to "classic" with a warning
+ * - The composer switches its preview live with a THEME_MESSAGE
+ */
+
+export const DEFAULT_THEME = "classic";
+
+// postMessage type the composer uses to switch the preview's theme
+export const THEME_MESSAGE = "valentine:theme";
+
+const THEMES = {
+  classic: {
+    label: "Classic valentine",
+    page: {
+      bg: ["#12143a", "#070814", "#050511"], // top glow, middle, edges
+      surface: "#0a0c1a",
+      fg: "#ffffff",
+      accent: "#ff4fa7",
+      accent2: "#ff2b5c",
+      link: "#ff9ad0"
+    },
+    heart: ["#ff2b5c", "#ff4fa7"], // bottom -> top gradient
+    stars: ["#8aa0ff", "#ff9ad0"],
+    confetti: { hue: [330, 355], sat: [75, 95], lit: [58, 70] },
+    // Post-processing glow (see src/three/postProcessing.js)
+    bloom: { strength: 0.85, radius: 0.55, threshold: 0.12 }
+  },
+
+  midnightGold: {
+    label: "Midnight gold",
+    page: {
+      bg: ["#1a1530", "#08070f", "#040308"],
+      surface: "#0d0b16",
+      fg: "#fff8ec",
+      accent: "#f5c76b",
+      accent2: "#d9912e",
+      link: "#ffd98a"
+    },
+    heart: ["#d9912e", "#ffe29a"],
+    stars: ["#7f8cff", "#ffd98a"],
+    confetti: { hue: [36, 50], sat: [80, 95], lit: [55, 70] },
+    bloom: { strength: 1.0, radius: 0.6, threshold: 0.1 }
+  },
+
+  pastel: {
+    label: "Pastel",
+    page: {
+      bg: ["#fff6fb", "#f5e6f4", "#e3ddf5"],
+      surface: "#ffffff",
+      fg: "#3b2b45",
+      accent: "#e879b0",
+      accent2: "#7fa8e0",
+      link: "#b8407c",
+      // Light page: the letter gets an almost opaque white sheet
+      panel: "linear-gradient(180deg, rgba(255, 255, 255, 0.94), rgba(255, 255, 255, 0.86))"
+    },
+    heart: ["#f29cc4", "#a9c8f2"],
+    stars: ["#b9a6ff", "#ffb3d4"],
+    confetti: { hue: [200, 340], sat: [65, 85], lit: [72, 84] },
+    bloom: { strength: 0.45, radius: 0.4, threshold: 0.3 }
+  },
+
+  monochrome: {
+    label: "Monochrome",
+    page: {
+      bg: ["#262626", "#0c0c0c", "#050505"],
+      surface: "#111111",
+      fg: "#ffffff",
+      accent: "#e6e6e6",
+      accent2: "#8c8c8c",
+      link: "#ffffff"
+    },
+    heart: ["#8c8c8c", "#ffffff"],
+    stars: ["#666666", "#cccccc"],
+    confetti: { hue: [0, 0], sat: [0, 0], lit: [60, 95] },
+    bloom: { strength: 0.7, radius: 0.5, threshold: 0.15 }
+  },
+
+  highContrast: {
+    label: "High contrast",
+    page: {
+      bg: ["#000000", "#000000", "#000000"],
+      surface: "#000000",
+      fg: "#ffffff",
+      accent: "#ffe100",
+      accent2: "#ff3b6b",
+      link: "#7fd6ff",
+      panel: "#000000",
+      // Opaque text and solid borders
+      alpha: { text: 1, muted: 0.92, border: 0.7 }
+    },
+    heart: ["#ff3b6b", "#ffe100"],
+    stars: ["#ffffff", "#ffe100"],
+    confetti: { hue: [45, 55], sat: [100, 100], lit: [50, 60] },
+    bloom: { strength: 0.3, radius: 0.2, threshold: 0.4 }
+  }
+};
+
+const DEFAULT_ALPHA = { text: 0.92, muted: 0.72, border: 0.14 };
+
+// "#ff4fa7" -> "255, 79, 167" (for rgba(var(--x-rgb), a))
+function rgbTriplet(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return `${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}`;
+}
+
+function cssVariables({ page }) {
+  const alpha = { ...DEFAULT_ALPHA, ...page.alpha };
+  const fg = rgbTriplet(page.fg);
+  const accent = rgbTriplet(page.accent);
+  const accent2 = rgbTriplet(page.accent2);
+
+  return {
+    "--bg-top": page.bg[0],
+    "--bg0": page.bg[1],
+    "--bg-edge": page.bg[2],
+    "--surface-rgb": rgbTriplet(page.surface),
+    "--fg-rgb": fg,
+    "--text": `rgba(${fg}, ${alpha.text})`,
+    "--muted": `rgba(${fg}, ${alpha.muted})`,
+    "--cardBorder": `rgba(${fg}, ${alpha.border})`,
+    "--accent": page.accent,
+    "--accent2": page.accent2,
+    "--accent-rgb": accent,
+    "--accent2-rgb": accent2,
+    "--glow": `rgba(${accent}, 0.35)`,
+    "--glow2": `rgba(${accent2}, 0.28)`,
+    "--link": page.link,
+    "--panel": page.panel || `linear-gradient(180deg, rgba(${fg}, 0.10), rgba(${fg}, 0.06))`
+  };
+}
+
+let current = DEFAULT_THEME;
+const listeners = new Set();
+
+export function listThemes() {
+  return Object.entries(THEMES).map(([name, theme]) => ({ name, label: theme.label }));
+}
+
+export function getTheme(name = current) {
+  return THEMES[name] || THEMES[DEFAULT_THEME];
+}
+
+export function currentThemeName() {
+  return current;
+}
+
+/**
+ * Apply a theme to the document (CSS variables + html[data-theme]) and
+ * tell the canvases. Returns the name actually applied.
+ */
+export function applyTheme(name, root = document.documentElement) {
+  if (!THEMES[name]) {
+    console.warn(`[theme] unknown theme "${name}", using "${DEFAULT_THEME}".`);
+    name = DEFAULT_THEME;
+  }
+  current = name;
+
+  const theme = THEMES[name];
+  for (const [prop, value] of Object.entries(cssVariables(theme))) {
+    root.style.setProperty(prop, value);
+  }
+  root.dataset.theme = name;
+
+  listeners.forEach((fn) => {
+    try { fn(theme, name); } catch {}
+  });
+  return name;
+}
+
+export function onThemeChange(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
@@ -0,0 +1,199 @@
+import * as THREE from "three";
+import { AUTO_ENVIRONMENT, ENVIRONMENTS, resolveEnvironmentName } from "../theme/environments.js";
+
+/**
+ * Scene environments (background particle layers around the heart):
+ * - Names, labels and the "auto" choice come from ../theme/environments.js
+ *   (kept free of three.js for the composer)
+ * - "night" has no layer; sunset petals, winter snow and fireflies do
+ *
+ * A layer is { object, update(dt, time), dispose() }; createHeartScene
+ * adds, animates, rebuilds (quality / theme changes) and disposes it.
+ * `count` is the full-quality particle count, scaled down with the
+ * scene's quality bucket.
+ */
+
+// Layers live in this box (the camera sits at z = 32 looking at 0)
+const BOX = { x: 36, yTop: 20, yBottom: -20, zNear: 8, zFar: -26 };
+
+const LAYERS = {
+  sunset: { layer: createPetals, count: 260 },
+  winter: { layer: createSnow, count: 900 },
+  fireflies: { layer: createFireflies, count: 140 }
+};
+
+// Name -> { name, ...environment }; "auto" and unknown names are resolved
+export function getEnvironment(name = AUTO_ENVIRONMENT, date) {
+  const resolved = resolveEnvironmentName(name, date);
+  return { name: resolved, ...ENVIRONMENTS[resolved], ...LAYERS[resolved] };
+}
+
+// Soft round sprite, drawn once and shared by every layer
+let dotTexture = null;
+function softDot() {
+  if (dotTexture) return dotTexture;
+
+  const size = 64;
+  const canvas = document.createElement("canvas");
+  canvas.width = canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  const g = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+  g.addColorStop(0, "rgba(255,255,255,1)");
+  g.addColorStop(0.4, "rgba(255,255,255,0.6)");
+  g.addColorStop(1, "rgba(255,255,255,0)");
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, size, size);
+
+  dotTexture = new THREE.CanvasTexture(canvas);
+  return dotTexture;
+}
+
+function rand(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+// Points spread through BOX with per-particle speed + phase
+function makeLayer(count, { size, opacity = 0.9 }) {
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const speed = new Float32Array(count);
+  const phase = new Float32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    positions[i * 3 + 0] = rand(-BOX.x, BOX.x);
+    positions[i * 3 + 1] = rand(BOX.yBottom, BOX.yTop);
+    positions[i * 3 + 2] = rand(BOX.zFar, BOX.zNear);
+    phase[i] = Math.random() * Math.PI * 2;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+  geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+
+  const material = new THREE.PointsMaterial({
+    size,
+    map: softDot(),
+    transparent: true,
+    opacity,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    vertexColors: true
+  });
+
+  const object = new THREE.Points(geometry, material);
+  // Particles wrap around inside BOX; skip per-frame bounds work
+  object.frustumCulled = false;
+
+  return {
+    object,
+    positions,
+    colors,
+    speed,
+    phase,
+    dispose() {
+      geometry.dispose();
+      material.dispose();
+    }
+  };
+}
+
+// Falling particles re-enter at the top once below the box
+function fall(layer, i, dy, dx) {
+  const p = layer.positions;
+  p[i * 3 + 1] -= dy;
+  p[i * 3 + 0] += dx;
+
+  if (p[i * 3 + 1] < BOX.yBottom) {
+    p[i * 3 + 1] = BOX.yTop;
+    p[i * 3 + 0] = rand(-BOX.x, BOX.x);
+  }
+  if (p[i * 3 + 0] > BOX.x) p[i * 3 + 0] = -BOX.x;
+  else if (p[i * 3 + 0] < -BOX.x) p[i * 3 + 0] = BOX.x;
+}
+
+function createPetals({ count, theme }) {
+  const layer = makeLayer(count, { size: 0.5, opacity: 0.75 });
+  const a = new THREE.Color(theme.heart[0]);
+  const b = new THREE.Color(theme.heart[1]);
+  const c = new THREE.Color();
+
+  for (let i = 0; i < count; i++) {
+    c.copy(a).lerp(b, Math.random());
+    layer.colors.set([c.r, c.g, c.b], i * 3);
+    layer.speed[i] = rand(0.7, 1.5);
+  }
+
+  const pos = layer.object.geometry.getAttribute("position");
+  return {
+    object: layer.object,
+    dispose: layer.dispose,
+    update(dt, time) {
+      for (let i = 0; i < count; i++) {
+        const sway = Math.sin(time * 0.8 + layer.phase[i]) * 0.9 + 0.35; // light breeze to the right
+        fall(layer, i, layer.speed[i] * dt, sway * dt);
+      }
+      pos.needsUpdate = true;
+    }
+  };
+}
+
+function createSnow({ count }) {
+  const layer = makeLayer(count, { size: 0.22, opacity: 0.85 });
+
+  for (let i = 0; i < count; i++) {
+    const shade = rand(0.75, 1);
+    layer.colors.set([shade, shade, Math.min(1, shade + 0.05)], i * 3);
+    layer.speed[i] = rand(1.2, 2.8);
+  }
+
+  const pos = layer.object.geometry.getAttribute("position");
+  return {
+    object: layer.object,
+    dispose: layer.dispose,
+    update(dt, time) {
+      for (let i = 0; i < count; i++) {
+        const sway = Math.sin(time * 1.3 + layer.phase[i]) * 0.45;
+        fall(layer, i, layer.speed[i] * dt, sway * dt);
+      }
+      pos.needsUpdate = true;
+    }
+  };
+}
+
+function createFireflies({ count }) {
+  const layer = makeLayer(count, { size: 0.45 });
+  const glow = new THREE.Color("#d9ff7a");
+
+  for (let i = 0; i < count; i++) {
+    layer.speed[i] = rand(0.6, 1.6); // blink rate
+    // Keep them near the ground half of the view
+    layer.positions[i * 3 + 1] = rand(BOX.yBottom, BOX.yTop * 0.4);
+    // Some already glowing (all that shows with reduced motion)
+    const k = Math.random() ** 2;
+    layer.colors.set([glow.r * k, glow.g * k, glow.b * k], i * 3);
+  }
+
+  const pos = layer.object.geometry.getAttribute("position");
+  const col = layer.object.geometry.getAttribute("color");
+  return {
+    object: layer.object,
+    dispose: layer.dispose,
+    update(dt, time) {
+      const p = layer.positions;
+      for (let i = 0; i < count; i++) {
+        const ph = layer.phase[i];
+        // Slow wandering
+        p[i * 3 + 0] += Math.sin(time * 0.4 + ph) * 0.6 * dt;
+        p[i * 3 + 1] += Math.cos(time * 0.33 + ph * 1.7) * 0.45 * dt;
+
+        // Blink: mostly dark, brief glows
+        const k = Math.max(0, Math.sin(time * layer.speed[i] + ph)) ** 3;
+        layer.colors[i * 3 + 0] = glow.r * k;
+        layer.colors[i * 3 + 1] = glow.g * k;
+        layer.colors[i * 3 + 2] = glow.b * k;
+      }
+      pos.needsUpdate = true;
+      col.needsUpdate = true;
+    }
+  };
+}
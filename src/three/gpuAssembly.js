@@ -0,0 +1,47 @@
+/**
+ * GPU assembly:
+ * - Instead of simulating every particle on the CPU each frame, the vertex
+ *   shader interpolates from the start position ("position") to the
+ *   target ("aTarget") with a per-particle delay ("aDelay")
+ * - The only per-frame upload is one uniform (uAssemble, 0..1)
+ * - The GLSL below is spliced into the particle shader (./particleMaterial.js)
+ * - assembledPosition() mirrors the shader on the CPU so a morph can start
+ *   from wherever the points are right now
+ */
+
+// Latest a particle may start moving (fraction of the whole assembly)
+export const MAX_DELAY = 0.35;
+
+// Same curve as the shader: delayed, then ease-out cubic
+function ease(amount, delay) {
+  const k = Math.min(Math.max((amount - delay) / (1 - MAX_DELAY), 0), 1);
+  return 1 - Math.pow(1 - k, 3);
+}
+
+export function assembledPosition(out, start, target, delays, i, amount) {
+  const k = ease(amount, delays[i]);
+  const ix = i * 3;
+  out[ix + 0] = start[ix + 0] + (target[ix + 0] - start[ix + 0]) * k;
+  out[ix + 1] = start[ix + 1] + (target[ix + 1] - start[ix + 1]) * k;
+  out[ix + 2] = start[ix + 2] + (target[ix + 2] - start[ix + 2]) * k;
+}
+
+export function randomDelays(count) {
+  const delays = new Float32Array(count);
+  for (let i = 0; i < count; i++) delays[i] = Math.random() * MAX_DELAY;
+  return delays;
+}
+
+/**
+ * GLSL for the particle shader (./particleMaterial.js): declarations,
+ * and the body that places a vertex at `vec3 transformed`.
+ */
+export const GPU_ASSEMBLY_PARS = /* glsl */ `
+  attribute vec3 aTarget;
+  attribute float aDelay;
+  uniform float uAssemble;`;
+
+export const GPU_ASSEMBLY_VERTEX = /* glsl */ `
+  float k = clamp((uAssemble - aDelay) / (1.0 - ${MAX_DELAY.toFixed(2)}), 0.0, 1.0);
+  k = 1.0 - pow(1.0 - k, 3.0);
+  vec3 transformed = mix(position, aTarget, k);`;
@@ -0,0 +1,199 @@
+import * as THREE from "three";
+
+/**
+ * Heart interaction (pointer, touch, device tilt):
+ * - Drag anywhere on the background to spin the heart; it keeps turning
+ *   for a moment after release (inertia) and tips back upright
+ * - A mouse hovering over the heart pushes nearby points away (the
+ *   shader side is ./pointerRepel.js, fed by `repel`)
+ * - A quick tap calls onTap (the scene scatters and re-assembles)
+ * - Phones: tilting shifts the camera a little (parallax). iOS asks for
+ *   permission, so the sensor is only requested on the first tap.
+ * - The question card, buttons, the letter and other controls keep their
+ *   own pointer events
+ *
+ * update(dt) -> { yaw, pitch, parallaxX, parallaxY } for this frame.
+ */
+
+const IGNORE = "button, a, input, select, textarea, label, [role='dialog'], .card, .modal-root, .sound-controls";
+
+const ROTATE_PER_PX = 0.008;
+const MAX_PITCH = 0.6;
+const TAP_MAX_MOVE = 8;   // px
+const TAP_MAX_MS = 350;
+const MAX_TILT_DEG = 25;
+
+export function createHeartInteraction({ camera, heartGroup, onTap, tilt = true }) {
+  const repel = {
+    point: { value: new THREE.Vector3(0, 0, 1e4) },
+    strength: { value: 0 },
+    radius: { value: 1.5 }
+  };
+
+  let enabled = true;
+
+  // Drag state
+  let dragId = null;
+  let lastX = 0;
+  let lastY = 0;
+  let downX = 0;
+  let downY = 0;
+  let downTime = 0;
+  let pendingYaw = 0;
+  let pendingPitch = 0;
+  let yawVelocity = 0;
+  let pitch = 0;
+
+  // Hover (mouse only), in client pixels
+  let hover = null;
+  const raycaster = new THREE.Raycaster();
+  const ndc = new THREE.Vector2();
+  const plane = new THREE.Plane();
+  const normal = new THREE.Vector3();
+  const center = new THREE.Vector3();
+  const hit = new THREE.Vector3();
+
+  // Tilt: target from the sensor, smoothed into parallax
+  let tiltState = "off"; // "off" | "asking" | "on" | "denied"
+  let baseBeta = null;
+  let tiltX = 0;
+  let tiltY = 0;
+  let parallaxX = 0;
+  let parallaxY = 0;
+
+  function isSceneTarget(el) {
+    return !(el instanceof Element) || !el.closest(IGNORE);
+  }
+
+  function onPointerDown(e) {
+    if (!enabled || !e.isPrimary || dragId !== null || !isSceneTarget(e.target)) return;
+    dragId = e.pointerId;
+    lastX = downX = e.clientX;
+    lastY = downY = e.clientY;
+    downTime = performance.now();
+  }
+
+  function onPointerMove(e) {
+    hover = enabled && e.pointerType === "mouse" && isSceneTarget(e.target)
+      ? { x: e.clientX, y: e.clientY }
+      : null;
+
+    if (e.pointerId !== dragId) return;
+    pendingYaw += (e.clientX - lastX) * ROTATE_PER_PX;
+    pendingPitch += (e.clientY - lastY) * ROTATE_PER_PX * 0.7;
+    lastX = e.clientX;
+    lastY = e.clientY;
+  }
+
+  function onPointerUp(e) {
+    if (e.pointerId !== dragId) return;
+    dragId = null;
+
+    const moved = Math.hypot(e.clientX - downX, e.clientY - downY);
+    if (e.type === "pointerup" && moved < TAP_MAX_MOVE && performance.now() - downTime < TAP_MAX_MS) {
+      requestTilt(); // a tap is a user gesture: good moment for iOS to ask
+      onTap?.();
+    }
+  }
+
+  function onPointerOut(e) {
+    if (!e.relatedTarget) hover = null; // left the window
+  }
+
+  // --- Device tilt ---
+  function onOrientation(e) {
+    if (e.beta === null || e.gamma === null) return;
+    baseBeta ??= e.beta;
+    tiltX = THREE.MathUtils.clamp(e.gamma / MAX_TILT_DEG, -1, 1);
+    tiltY = THREE.MathUtils.clamp((e.beta - baseBeta) / MAX_TILT_DEG, -1, 1);
+  }
+
+  function listenTilt() {
+    tiltState = "on";
+    window.addEventListener("deviceorientation", onOrientation);
+  }
+
+  function requestTilt() {
+    const Orientation = window.DeviceOrientationEvent;
+    if (!tilt || tiltState !== "off" || typeof Orientation?.requestPermission !== "function") return;
+
+    tiltState = "asking";
+    Orientation.requestPermission()
+      .then((answer) => (answer === "granted" ? listenTilt() : (tiltState = "denied")))
+      .catch(() => (tiltState = "denied"));
+  }
+
+  // Everywhere but iOS the sensor needs no prompt
+  if (tilt && window.DeviceOrientationEvent &&
+      typeof window.DeviceOrientationEvent.requestPermission !== "function") {
+    listenTilt();
+  }
+
+  window.addEventListener("pointerdown", onPointerDown, { passive: true });
+  window.addEventListener("pointermove", onPointerMove, { passive: true });
+  window.addEventListener("pointerup", onPointerUp, { passive: true });
+  window.addEventListener("pointercancel", onPointerUp, { passive: true });
+  document.addEventListener("pointerout", onPointerOut, { passive: true });
+
+  // Pointer -> heart-local point on the plane through the heart's center
+  function updateRepelPoint() {
+    ndc.set((hover.x / window.innerWidth) * 2 - 1, -(hover.y / window.innerHeight) * 2 + 1);
+    raycaster.setFromCamera(ndc, camera);
+
+    heartGroup.getWorldPosition(center);
+    camera.getWorldDirection(normal);
+    plane.setFromNormalAndCoplanarPoint(normal, center);
+
+    if (raycaster.ray.intersectPlane(plane, hit)) {
+      repel.point.value.copy(heartGroup.worldToLocal(hit));
+    }
+  }
+
+  function update(dt) {
+    // Rotation: follow the finger while dragging, then coast
+    let yaw;
+    if (dragId !== null) {
+      yaw = pendingYaw;
+      yawVelocity = THREE.MathUtils.lerp(yawVelocity, pendingYaw / Math.max(dt, 1e-3), 0.5);
+    } else {
+      yaw = yawVelocity * dt;
+      yawVelocity *= Math.exp(-dt * 2.5);
+    }
+    pendingYaw = 0;
+
+    pitch = THREE.MathUtils.clamp(pitch + pendingPitch, -MAX_PITCH, MAX_PITCH);
+    pendingPitch = 0;
+    if (dragId === null) pitch *= Math.exp(-dt * 1.5);
+
+    // Repel eases in/out so points glide rather than jump
+    if (hover) updateRepelPoint();
+    const target = hover && dragId === null ? 1 : 0;
+    repel.strength.value += (target - repel.strength.value) * Math.min(1, dt * 6);
+
+    parallaxX += (tiltX - parallaxX) * Math.min(1, dt * 3);
+    parallaxY += (tiltY - parallaxY) * Math.min(1, dt * 3);
+
+    return { yaw, pitch, parallaxX, parallaxY };
+  }
+
+  // Off (e.g. reduced motion): let go of everything
+  function setEnabled(on) {
+    enabled = on;
+    if (on) return;
+    dragId = null;
+    hover = null;
+    pendingYaw = pendingPitch = yawVelocity = pitch = 0;
+    repel.strength.value = 0;
+  }
+
+  function destroy() {
+    window.removeEventListener("pointerdown", onPointerDown);
+    window.removeEventListener("pointermove", onPointerMove);
+    window.removeEventListener("pointerup", onPointerUp);
+    window.removeEventListener("pointercancel", onPointerUp);
+    document.removeEventListener("pointerout", onPointerOut);
+    window.removeEventListener("deviceorientation", onOrientation);
+  }
+
+  return { repel, update, setEnabled, destroy };
+}
@@ -1,15 +1,53 @@
 import * as THREE from "three";
+import { getShape, loadImageSource } from "./shapes.js";
+import { getEnvironment } from "./environments.js";
+import { createHeartInteraction } from "./heartInteraction.js";
+import { createParticleMaterial, randomParticleAttributes, setPointScale } from "./particleMaterial.js";
+import { createPostProcessing } from "./postProcessing.js";
+import { assembledPosition, randomDelays } from "./gpuAssembly.js";
+import { createPerformanceGovernor } from "./performanceGovernor.js";
+import { createAnimationLoop } from "../animation/scheduler.js";
+import { onMotionPreferenceChange, prefersReducedMotion } from "../animation/motion.js";
+import { getTheme } from "../theme/themes.js";
 
 /**
  * HeartParticles scene:
  * - Points "assemble" from scattered positions to heart shape
- * - Additive glow + vertex colors (pink/red gradient)
- * - Background star dust
- * - Auto quality based on screen size
+ *   (in the vertex shader by default, see ./gpuAssembly.js; the CPU
+ *   simulation stays as a fallback with gpuAssembly: false)
+ * - morphTo() re-targets the same points to another shape (./shapes.js)
+ * - showText() spells a string out of the same points
+ * - showImage() turns a photo into the cloud (colors from its pixels)
+ * - Additive glow + vertex colors (gradient from the theme, see
+ *   ../theme/themes.js; setTheme() recolors in place)
+ * - Soft sprites of varied size that twinkle (./particleMaterial.js);
+ *   sprite: "heart" draws every point as a tiny heart
+ * - Background star dust, plus an environment layer (petals, snow,
+ *   fireflies; see ./environments.js) switched with setEnvironment()
+ * - setAudioSource(): with music playing, bass energy swells the points
+ *   and brightens the stars, beat onsets kick pulse() (../audio/audioAnalyser.js)
+ * - Interactive (./heartInteraction.js): drag to spin with inertia, mouse
+ *   hover repels points, tap scatters + re-assembles, phone tilt parallax
+ * - prefers-reduced-motion: shape appears in place, no float/spin/camera
+ *   and no interaction
+ * - Auto quality based on screen size, then adjusted at runtime from
+ *   the measured frame rate (./performanceGovernor.js)
+ * - Bloom + vignette (optional depth of field) on the two top quality
+ *   buckets only (./postProcessing.js); bloom strength comes from the theme
  *
  * No external assets, no models.
  */
-export function createHeartScene({ canvas }) {
+export function createHeartScene({
+  canvas,
+  gpuAssembly = true,
+  adaptiveQuality = true,
+  interactive = true,
+  postProcessing = true,
+  depthOfField = false,
+  theme = getTheme(),
+  environment: environmentName = "auto",
+  sprite = "round"
+}) {
   // Renderer
   const renderer = new THREE.WebGLRenderer({
     canvas,
@@ -18,7 +56,6 @@ export function createHeartScene({ canvas }) {
     powerPreference: "high-performance"
   });
   renderer.setClearColor(0x000000, 0); // transparent
-  renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
 
   // Scene + camera
   const scene = new THREE.Scene();
@@ -34,82 +71,96 @@ export function createHeartScene({ canvas }) {
   // Gentle ambient + fake "glow" via points themselves
   scene.add(new THREE.AmbientLight(0xffffff, 0.6));
 
+  const useGpu = gpuAssembly;
+
   // Group for floating/rotating the heart
   const heartGroup = new THREE.Group();
   scene.add(heartGroup);
 
   // --- Quality / counts ---
+  // Desktop: 10k+ (requirement). Scale down for small screens.
+  // textCount = ceiling a text formation may grow to (see shapes.js)
+  // The GPU path has no per-particle CPU cost, so it affords more points.
+  const CPU_BUCKETS = [
+    { minWidth: 1100, heartCount: 12000, starsCount: 2200, textCount: 14000 },
+    { minWidth: 780, heartCount: 10000, starsCount: 1700, textCount: 12000 },
+    { minWidth: 520, heartCount: 6500, starsCount: 1200, textCount: 8500 },
+    { minWidth: 0, heartCount: 3800, starsCount: 900, textCount: 6000 }
+  ];
+  const GPU_BUCKETS = [
+    { minWidth: 1100, heartCount: 26000, starsCount: 2200, textCount: 30000 },
+    { minWidth: 780, heartCount: 18000, starsCount: 1700, textCount: 21000 },
+    { minWidth: 520, heartCount: 9000, starsCount: 1200, textCount: 11000 },
+    { minWidth: 0, heartCount: 5000, starsCount: 900, textCount: 7500 }
+  ];
+
+  // Runtime governor levels: the first steps lower the pixel ratio
+  // (cheapest to lose on hi-DPI screens), further ones drop to the next
+  // smaller bucket.
+  const PIXEL_RATIO_STEPS = [1, 0.75, 0.5];
+  const buckets = useGpu ? GPU_BUCKETS : CPU_BUCKETS;
+
+  const governor = adaptiveQuality
+    ? createPerformanceGovernor({
+        maxLevel: PIXEL_RATIO_STEPS.length - 1 + buckets.length - 1,
+        onChange: applyGovernorLevel
+      })
+    : null;
+
   function computeQuality() {
     const w = window.innerWidth;
-    // Desktop: 10k+ (requirement). Scale down for small screens.
-    if (w >= 1100) return { heartCount: 12000, starsCount: 2200 };
-    if (w >= 780) return { heartCount: 10000, starsCount: 1700 };
-    if (w >= 520) return { heartCount: 6500, starsCount: 1200 };
-    return { heartCount: 3800, starsCount: 900 };
+    const screenBucket = buckets.findIndex((b) => w >= b.minWidth);
+    const drop = Math.max(0, (governor?.level ?? 0) - (PIXEL_RATIO_STEPS.length - 1));
+    const index = Math.min(screenBucket + drop, buckets.length - 1);
+    const { heartCount, starsCount, textCount } = buckets[index];
+    // Post-processing is the first thing low buckets do without
+    return { heartCount, starsCount, textCount, effects: postProcessing && index < 2 };
   }
 
-  let quality = computeQuality();
-
-  // --- Heart target points (parametric) ---
-  // A classic 2D heart curve:
-  // x = 16 sin^3(t)
-  // y = 13 cos(t) - 5 cos(2t) - 2 cos(3t) - cos(4t)
-  // We'll create a 3D "volume" by extruding along z and distributing points.
-  function heart2D(t) {
-    const x = 16 * Math.pow(Math.sin(t), 3);
-    const y =
-      13 * Math.cos(t) -
-      5 * Math.cos(2 * t) -
-      2 * Math.cos(3 * t) -
-      1 * Math.cos(4 * t);
-    return { x, y };
+  function computePixelRatio() {
+    const step = Math.min(governor?.level ?? 0, PIXEL_RATIO_STEPS.length - 1);
+    return Math.max(0.75, Math.min(window.devicePixelRatio || 1, 2) * PIXEL_RATIO_STEPS[step]);
   }
 
-  /**
-   * Generate points "inside" the heart area by:
-   * - sample curve position
-   * - scale inward by a random factor r^k to fill the interior
-   * - add z thickness
-   */
-  function generateHeartTargets(count) {
-    const positions = new Float32Array(count * 3);
-    const colors = new Float32Array(count * 3);
-
-    const colorA = new THREE.Color("#ff2b5c"); // red
-    const colorB = new THREE.Color("#ff4fa7"); // pink
-
-    // Heart scale
-    const s = 0.22; // overall size
-    const zThickness = 2.6;
-
-    for (let i = 0; i < count; i++) {
-      const t = Math.random() * Math.PI * 2;
-      const p = heart2D(t);
+  let quality = computeQuality();
 
-      // Fill interior: r in [0..1], use power to bias points towards boundary a bit
-      const r = Math.pow(Math.random(), 0.55);
-      const x = p.x * r * s;
-      const y = p.y * r * s;
+  // --- Target points (see ./shapes.js) ---
+  // The current shape survives quality rebuilds and morphs.
+  let shape = { name: "heart", options: {} };
 
-      // Thickness (more dense near center)
-      const z = (Math.random() * 2 - 1) * zThickness * Math.pow(1 - r, 0.2);
+  let palette = theme;
+  let shapeHasColors = false; // e.g. photos keep their own pixels
 
-      // Slight organic jitter
-      const j = 0.08;
-      positions[i * 3 + 0] = x + (Math.random() * 2 - 1) * j;
-      positions[i * 3 + 1] = y + (Math.random() * 2 - 1) * j;
-      positions[i * 3 + 2] = z + (Math.random() * 2 - 1) * j;
+  // Theme gradient by height (y) plus some randomness
+  function paintGradient(positions, colors, count) {
+    const colorA = new THREE.Color(palette.heart[0]);
+    const colorB = new THREE.Color(palette.heart[1]);
+    const c = new THREE.Color();
 
-      // Gradient color by height (y) and some randomness
+    for (let i = 0; i < count; i++) {
       // Normalize y into [0..1] roughly
-      const yn = THREE.MathUtils.clamp((y + 3) / 6, 0, 1);
-      const c = colorA.clone().lerp(colorB, yn * 0.85 + Math.random() * 0.15);
+      const yn = THREE.MathUtils.clamp((positions[i * 3 + 1] + 3) / 6, 0, 1);
+      c.copy(colorA).lerp(colorB, yn * 0.85 + Math.random() * 0.15);
 
       colors[i * 3 + 0] = c.r;
       colors[i * 3 + 1] = c.g;
       colors[i * 3 + 2] = c.b;
     }
+  }
+
+  /**
+   * Build target positions for the current shape, then color them with
+   * the theme gradient (unless the shape brings its own colors).
+   */
+  function generateTargets(count) {
+    const entry = getShape(shape.name) || getShape("heart");
+    const result = entry.generate(count, shape.options);
+    shapeHasColors = !!result.colors;
+    if (result.colors) return result;
 
+    const positions = result;
+    const colors = new Float32Array(count * 3);
+    paintGradient(positions, colors, count);
     return { positions, colors };
   }
 
@@ -118,36 +169,145 @@ export function createHeartScene({ canvas }) {
   let heartGeo = null;
 
   // Per-particle state
+  // (GPU path: currentPositions holds the start of the current assembly)
+  let particleCount = 0;
   let currentPositions = null;
   let velocities = null;
   let targetPositions = null;
+  let delays = null;
+  const assembleUniform = { value: 0 };
 
   // Assembly progress
   let assembled = false;
+  let settling = false; // assembled, but points added by a refit still fly in
   let assembleAmount = 0; // 0..1
 
-  // Heart points material (additive glow)
-  const heartMaterial = new THREE.PointsMaterial({
-    size: 0.085,
-    transparent: true,
+  const interaction = interactive
+    ? createHeartInteraction({ camera, heartGroup, onTap: () => scatter() })
+    : null;
+
+  // Heart points material (additive glow; sprites fade out to the rim,
+  // so they're drawn larger than the old square points)
+  const HEART_SIZE = 0.14;
+  const heartMaterial = createParticleMaterial({
+    size: HEART_SIZE,
     opacity: 0.95,
-    depthWrite: false,
-    blending: THREE.AdditiveBlending,
-    vertexColors: true
+    twinkle: 0.25,
+    sprite,
+    assemble: useGpu ? assembleUniform : null,
+    repel: interaction?.repel
   });
 
+  // Most shapes use the bucket's heartCount; a shape may ask for more
+  function countForShape() {
+    const entry = getShape(shape.name);
+    return entry?.particleCount?.(shape.options, quality) ?? quality.heartCount;
+  }
+
+  function attachGeometry(colors) {
+    if (heartMesh) {
+      heartGroup.remove(heartMesh);
+      heartGeo.dispose();
+    }
+
+    heartGeo = new THREE.BufferGeometry();
+    heartGeo.setAttribute("position", new THREE.BufferAttribute(currentPositions, 3));
+    heartGeo.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+    const { sizes, twinkles } = randomParticleAttributes(particleCount);
+    heartGeo.setAttribute("aSize", new THREE.BufferAttribute(sizes, 1));
+    heartGeo.setAttribute("aTwinkle", new THREE.BufferAttribute(twinkles, 1));
+
+    heartMesh = new THREE.Points(heartGeo, heartMaterial);
+
+    if (useGpu) {
+      delays = randomDelays(particleCount);
+      heartGeo.setAttribute("aTarget", new THREE.BufferAttribute(targetPositions, 3));
+      heartGeo.setAttribute("aDelay", new THREE.BufferAttribute(delays, 1));
+      // Bounds come from "position" only, which the shader moves away from
+      heartMesh.frustumCulled = false;
+    }
+
+    heartGroup.add(heartMesh);
+  }
+
+  /**
+   * Resize the per-particle buffers to nextCount, keeping every surviving
+   * particle where it is; new ones split off from a random existing
+   * particle, extra ones are dropped.
+   * With keepTargets, survivors also keep their target and color, so a
+   * quality change doesn't visibly move the formed shape.
+   */
+  function refitParticles(nextCount, { keepTargets }) {
+    // First, as it may throw (e.g. unreadable image): nothing changed yet
+    const fresh = generateTargets(nextCount);
+
+    // GPU path: freeze where the shader has put the points so far
+    if (useGpu) {
+      for (let i = 0; i < particleCount; i++) {
+        assembledPosition(currentPositions, currentPositions, targetPositions, delays, i, assembleAmount);
+      }
+    }
+    const oldColors = heartGeo.getAttribute("color").array;
+
+    const pos = new Float32Array(nextCount * 3);
+    const vel = new Float32Array(nextCount * 3);
+    const tgt = keepTargets ? new Float32Array(nextCount * 3) : fresh.positions;
+    const col = keepTargets ? new Float32Array(nextCount * 3) : fresh.colors;
+
+    for (let i = 0; i < nextCount; i++) {
+      const ix = i * 3;
+      const survivor = i < particleCount;
+      const src = (survivor ? i : Math.floor(Math.random() * particleCount)) * 3;
+
+      pos.set(currentPositions.subarray(src, src + 3), ix);
+      vel.set(velocities.subarray(src, src + 3), ix);
+
+      if (keepTargets) {
+        tgt.set((survivor ? targetPositions : fresh.positions).subarray(ix, ix + 3), ix);
+        col.set((survivor ? oldColors : fresh.colors).subarray(ix, ix + 3), ix);
+      }
+    }
+
+    currentPositions = pos;
+    velocities = vel;
+    targetPositions = tgt;
+    particleCount = nextCount;
+    attachGeometry(col);
+
+    // The CPU simulation just carries on; the GPU interpolation restarts
+    // from the frozen positions (already-formed points don't move).
+    // A formed shape that only changed size stays assembled (scatter and
+    // taps keep working) while the added points settle in.
+    if (keepTargets && assembled) {
+      settling = true;
+    } else {
+      assembled = false;
+      settling = false;
+    }
+    if (useGpu || !keepTargets) assembleAmount = 0;
+    assembleUniform.value = assembleAmount;
+  }
+
   function createOrRebuildHeart() {
     quality = computeQuality();
 
-    const { positions: targets, colors } = generateHeartTargets(quality.heartCount);
+    if (currentPositions) {
+      const nextCount = countForShape();
+      if (nextCount !== particleCount) refitParticles(nextCount, { keepTargets: true });
+      return;
+    }
+
+    particleCount = countForShape();
+
+    const { positions: targets, colors } = generateTargets(particleCount);
     targetPositions = targets;
 
     // Start positions scattered in a sphere
-    currentPositions = new Float32Array(quality.heartCount * 3);
-    velocities = new Float32Array(quality.heartCount * 3);
+    currentPositions = new Float32Array(particleCount * 3);
+    velocities = new Float32Array(particleCount * 3);
 
     const spread = 26;
-    for (let i = 0; i < quality.heartCount; i++) {
+    for (let i = 0; i < particleCount; i++) {
       // random point in sphere-ish
       const rx = (Math.random() * 2 - 1);
       const ry = (Math.random() * 2 - 1);
@@ -164,41 +324,45 @@ export function createHeartScene({ canvas }) {
       velocities[i * 3 + 2] = 0;
     }
 
-    if (heartMesh) {
-      heartGroup.remove(heartMesh);
-      heartGeo.dispose();
-    }
-
-    heartGeo = new THREE.BufferGeometry();
-    heartGeo.setAttribute("position", new THREE.BufferAttribute(currentPositions, 3));
-    heartGeo.setAttribute("color", new THREE.BufferAttribute(colors, 3));
-
-    heartMesh = new THREE.Points(heartGeo, heartMaterial);
-    heartGroup.add(heartMesh);
+    attachGeometry(colors);
 
     assembled = false;
     assembleAmount = 0;
+    assembleUniform.value = 0;
   }
 
   // --- Background "dust" stars ---
   let stars = null;
-  const starsMaterial = new THREE.PointsMaterial({
-    size: 0.06,
-    transparent: true,
-    opacity: 0.55,
-    depthWrite: false,
-    blending: THREE.AdditiveBlending,
-    vertexColors: true
+  const STARS_OPACITY = 0.55;
+  let environment = getEnvironment(environmentName);
+  let starsOpacity = STARS_OPACITY * environment.starsOpacity;
+  const starsMaterial = createParticleMaterial({
+    size: 0.1,
+    opacity: starsOpacity,
+    twinkle: 0.6
   });
 
+  // Random mix of the two theme star colors, most of them dimmed a bit
+  function paintStars(col, count) {
+    const c1 = new THREE.Color(palette.stars[0]);
+    const c2 = new THREE.Color(palette.stars[1]);
+    const c = new THREE.Color();
+
+    for (let i = 0; i < count; i++) {
+      c.copy(c1).lerp(c2, Math.random() * 0.6 + 0.2);
+      const dim = 0.4 + Math.random() * 0.6;
+      col[i * 3 + 0] = c.r * dim;
+      col[i * 3 + 1] = c.g * dim;
+      col[i * 3 + 2] = c.b * dim;
+    }
+  }
+
   function buildStars() {
     const count = quality.starsCount;
     const geo = new THREE.BufferGeometry();
     const pos = new Float32Array(count * 3);
     const col = new Float32Array(count * 3);
 
-    const c1 = new THREE.Color("#8aa0ff");
-    const c2 = new THREE.Color("#ff9ad0");
     const radius = 85;
 
     for (let i = 0; i < count; i++) {
@@ -216,19 +380,14 @@ export function createHeartScene({ canvas }) {
       pos[i * 3 + 0] = x;
       pos[i * 3 + 1] = y;
       pos[i * 3 + 2] = z;
-
-      const mix = Math.random() * 0.6 + 0.2;
-      const c = c1.clone().lerp(c2, mix);
-
-      // dim most stars a bit randomly
-      const dim = 0.4 + Math.random() * 0.6;
-      col[i * 3 + 0] = c.r * dim;
-      col[i * 3 + 1] = c.g * dim;
-      col[i * 3 + 2] = c.b * dim;
     }
+    paintStars(col, count);
 
     geo.setAttribute("position", new THREE.BufferAttribute(pos, 3));
     geo.setAttribute("color", new THREE.BufferAttribute(col, 3));
+    const { sizes, twinkles } = randomParticleAttributes(count, { minSize: 0.4, maxSize: 1.8 });
+    geo.setAttribute("aSize", new THREE.BufferAttribute(sizes, 1));
+    geo.setAttribute("aTwinkle", new THREE.BufferAttribute(twinkles, 1));
 
     const pts = new THREE.Points(geo, starsMaterial);
     pts.position.z = -20;
@@ -244,32 +403,184 @@ export function createHeartScene({ canvas }) {
     scene.add(stars);
   }
 
+  // --- Environment layer (scaled like the stars) ---
+  let envLayer = null;
+  const FULL_STARS = buckets[0].starsCount;
+
+  function createOrRebuildEnvironment() {
+    if (envLayer) {
+      scene.remove(envLayer.object);
+      envLayer.dispose();
+      envLayer = null;
+    }
+    if (!environment.layer) return;
+
+    const count = Math.round(environment.count * (quality.starsCount / FULL_STARS));
+    envLayer = environment.layer({ count, theme: palette });
+    scene.add(envLayer.object);
+  }
+
+  /**
+   * Public: switch environment ("night", "sunset", "winter", "fireflies"
+   * or "auto"). Returns the resolved name.
+   */
+  function setEnvironment(name) {
+    const next = getEnvironment(name);
+    if (next.name === environment.name) return next.name;
+
+    environment = next;
+    starsOpacity = STARS_OPACITY * environment.starsOpacity;
+    starsMaterial.uniforms.uOpacity.value = starsOpacity;
+    createOrRebuildEnvironment();
+    return environment.name;
+  }
+
   // Initialize
   createOrRebuildHeart();
   createOrRebuildStars();
+  createOrRebuildEnvironment();
+
+  /**
+   * Public: recolor heart + stars for another theme (from
+   * ../theme/themes.js), keeping every particle where it is.
+   */
+  function setTheme(next) {
+    palette = next;
+    if (heartGeo && !shapeHasColors) {
+      const color = heartGeo.getAttribute("color");
+      paintGradient(targetPositions, color.array, particleCount);
+      color.needsUpdate = true;
+    }
+    if (stars) {
+      const color = stars.geometry.getAttribute("color");
+      paintStars(color.array, color.count);
+      color.needsUpdate = true;
+    }
+    createOrRebuildEnvironment();
+    post?.setBloom(next.bloom);
+  }
+
+  /**
+   * Public: morph the existing points into another registered shape
+   * ("heart", "doubleHeart", "ring", "rose", "star", "text").
+   * Particles keep their current position and velocity and simply
+   * re-run the assembly towards the new targets (see refitParticles).
+   */
+  function morphTo(name, options = {}) {
+    if (!getShape(name)) {
+      console.warn(`Unknown shape "${name}"`);
+      return false;
+    }
+
+    // Keep the old shape if this one can't be built (e.g. a tainted
+    // image), or the next quality rebuild would throw in the render loop
+    const previous = shape;
+    shape = { name, options };
+    try {
+      refitParticles(countForShape(), { keepTargets: false });
+    } catch (err) {
+      shape = previous;
+      console.warn(`Shape "${name}" could not be built:`, err);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Public: spell out text with the particles, e.g. "Alina ❤ Max".
+   * "\n" starts a new line; font is a CSS font-family list and size the
+   * line height in scene units (see layoutText in ./shapes.js).
+   */
+  function showText(text, { font, weight, size } = {}) {
+    return morphTo("text", { text, font, weight, size });
+  }
+
+  /**
+   * Public: show a picture as a particle cloud. `source` can be a File
+   * (e.g. from an <input type="file">), a URL to a bundled asset, or an
+   * already decoded image. Resolves to false if the image can't be read.
+   */
+  async function showImage(source) {
+    try {
+      const image = await loadImageSource(source);
+      return morphTo("image", { image });
+    } catch (err) {
+      console.warn("Image could not be loaded:", err);
+      return false;
+    }
+  }
+
+  // --- Post-processing (bloom, vignette, optional DOF) ---
+  let post = null;
+
+  function syncPostProcessing() {
+    if (quality.effects && !post) {
+      post = createPostProcessing({ renderer, scene, camera, bloom: palette.bloom, depthOfField });
+    } else if (!quality.effects && post) {
+      post.dispose();
+      post = null;
+    }
+  }
+
+  function draw(dt) {
+    if (post) post.render(dt);
+    else renderer.render(scene, camera);
+  }
+
+  // Rebuild only when the bucket actually changed
+  function rebuildIfQualityChanged() {
+    const q2 = computeQuality();
+    if (q2.heartCount !== quality.heartCount || q2.starsCount !== quality.starsCount) {
+      createOrRebuildHeart();
+      createOrRebuildStars();
+      createOrRebuildEnvironment();
+      syncPostProcessing();
+    }
+  }
+
+  function applyGovernorLevel() {
+    renderer.setPixelRatio(computePixelRatio());
+    post?.resize(window.innerWidth, window.innerHeight, renderer.getPixelRatio());
+    syncPointScale();
+    rebuildIfQualityChanged();
+    // Don't judge the next level by the rebuild hitch
+    governor.reset();
+  }
+
+  // Sprite size attenuation follows the drawing buffer
+  function syncPointScale() {
+    setPointScale(heartMaterial, renderer);
+    setPointScale(starsMaterial, renderer);
+  }
 
   // Resize
   function resize() {
     const w = window.innerWidth;
     const h = window.innerHeight;
-    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+    renderer.setPixelRatio(computePixelRatio());
     renderer.setSize(w, h, false);
+    post?.resize(w, h, renderer.getPixelRatio());
     camera.aspect = w / h;
     camera.updateProjectionMatrix();
+    syncPointScale();
 
     // If quality bucket changed, rebuild
-    const q2 = computeQuality();
-    if (q2.heartCount !== quality.heartCount || q2.starsCount !== quality.starsCount) {
-      createOrRebuildHeart();
-      createOrRebuildStars();
-    }
+    rebuildIfQualityChanged();
   }
   resize();
+  syncPostProcessing();
 
   // Helpers
-  let lastT = performance.now();
   let time = 0;
 
+  // Reduced motion (follows the OS setting live)
+  let reducedMotion = prefersReducedMotion();
+  interaction?.setEnabled(!reducedMotion);
+  const stopWatchingMotion = onMotionPreferenceChange((reduced) => {
+    reducedMotion = reduced;
+    interaction?.setEnabled(!reduced);
+  });
+
   // Public: pulse effect after YES
   let pulseBoost = 0;
   function pulse() {
@@ -277,103 +588,213 @@ export function createHeartScene({ canvas }) {
     pulseBoost = Math.min(pulseBoost + 1.2, 2.5);
   }
 
-  function tick(now) {
-    const dt = Math.min((now - lastT) / 1000, 0.033);
-    lastT = now;
-    time += dt;
+  // Public: music levels, anything with sample(dt) -> { energy, beat }
+  let audioSource = null;
+  function setAudioSource(source) {
+    audioSource = source;
+  }
 
-    // --- Animate stars slowly for atmosphere ---
-    if (stars) {
-      stars.rotation.y += dt * 0.02;
-      stars.rotation.x += dt * 0.006;
-    }
+  function applyAudio(dt) {
+    const { energy, beat } = audioSource.sample(dt);
+    if (beat) pulseBoost = Math.min(pulseBoost + 0.35, 2.5);
+    heartMaterial.uniforms.uSize.value = HEART_SIZE * (1 + energy * 0.5);
+    starsMaterial.uniforms.uOpacity.value = Math.min(1, starsOpacity + energy * 0.4);
+  }
 
-    // --- Assembly simulation ---
-    // A smooth "magnetic" attraction with damping.
-    // We also raise strength as assembleAmount increases.
-    if (!assembled) {
-      assembleAmount = Math.min(assembleAmount + dt * 0.22, 1);
+  // --- Assembly simulation (CPU fallback) ---
+  // A smooth "magnetic" attraction with damping.
+  // We also raise strength as assembleAmount increases.
+  function stepCpuAssembly(dt) {
+    const strength = 4.2 + assembleAmount * 10.0;
+    const damp = 0.86; // velocity damping
+    const snap = 0.0022; // little snap to reduce jitter at the end
 
-      const strength = 4.2 + assembleAmount * 10.0;
-      const damp = 0.86; // velocity damping
-      const snap = 0.0022; // little snap to reduce jitter at the end
+    const posAttr = heartGeo.getAttribute("position");
 
-      const posAttr = heartGeo.getAttribute("position");
+    let avgDist = 0;
 
-      let avgDist = 0;
+    for (let i = 0; i < particleCount; i++) {
+      const ix = i * 3;
 
-      for (let i = 0; i < quality.heartCount; i++) {
-        const ix = i * 3;
+      const px = currentPositions[ix + 0];
+      const py = currentPositions[ix + 1];
+      const pz = currentPositions[ix + 2];
 
-        const px = currentPositions[ix + 0];
-        const py = currentPositions[ix + 1];
-        const pz = currentPositions[ix + 2];
+      const tx = targetPositions[ix + 0];
+      const ty = targetPositions[ix + 1];
+      const tz = targetPositions[ix + 2];
 
-        const tx = targetPositions[ix + 0];
-        const ty = targetPositions[ix + 1];
-        const tz = targetPositions[ix + 2];
+      const dx = tx - px;
+      const dy = ty - py;
+      const dz = tz - pz;
 
-        const dx = tx - px;
-        const dy = ty - py;
-        const dz = tz - pz;
+      // Move towards target with speed scaled by assembleAmount (ease-in)
+      const ax = dx * strength * dt;
+      const ay = dy * strength * dt;
+      const az = dz * strength * dt;
 
-        // Move towards target with speed scaled by assembleAmount (ease-in)
-        const ax = dx * strength * dt;
-        const ay = dy * strength * dt;
-        const az = dz * strength * dt;
+      velocities[ix + 0] = (velocities[ix + 0] + ax) * damp;
+      velocities[ix + 1] = (velocities[ix + 1] + ay) * damp;
+      velocities[ix + 2] = (velocities[ix + 2] + az) * damp;
 
-        velocities[ix + 0] = (velocities[ix + 0] + ax) * damp;
-        velocities[ix + 1] = (velocities[ix + 1] + ay) * damp;
-        velocities[ix + 2] = (velocities[ix + 2] + az) * damp;
+      currentPositions[ix + 0] = px + velocities[ix + 0] + dx * snap * assembleAmount;
+      currentPositions[ix + 1] = py + velocities[ix + 1] + dy * snap * assembleAmount;
+      currentPositions[ix + 2] = pz + velocities[ix + 2] + dz * snap * assembleAmount;
 
-        currentPositions[ix + 0] = px + velocities[ix + 0] + dx * snap * assembleAmount;
-        currentPositions[ix + 1] = py + velocities[ix + 1] + dy * snap * assembleAmount;
-        currentPositions[ix + 2] = pz + velocities[ix + 2] + dz * snap * assembleAmount;
+      avgDist += Math.abs(dx) + Math.abs(dy) + Math.abs(dz);
+    }
 
-        avgDist += Math.abs(dx) + Math.abs(dy) + Math.abs(dz);
-      }
+    posAttr.needsUpdate = true;
 
-      posAttr.needsUpdate = true;
+    // Determine assembled state when close enough
+    const mean = avgDist / particleCount;
+    if (assembleAmount > 0.98 && mean < 0.09) {
+      assembled = true;
+      settling = false;
+    }
+  }
 
-      // Determine assembled state when close enough
-      const mean = avgDist / quality.heartCount;
-      if (assembleAmount > 0.98 && mean < 0.09) {
-        assembled = true;
-      }
+  // --- Assembly on the GPU: just advance the shader's progress ---
+  function stepGpuAssembly() {
+    assembleUniform.value = assembleAmount;
+    if (assembleAmount >= 1) {
+      assembled = true;
+      settling = false;
+    }
+  }
+
+  /**
+   * Public: blow the formed shape apart and let it assemble again
+   * (a tap on the background does this). Ignored mid-assembly.
+   */
+  function scatter(strength = 9) {
+    if (!assembled || reducedMotion) return;
+
+    // GPU path: the points sit at their targets, not at "position"
+    if (useGpu) currentPositions.set(targetPositions);
+
+    for (let i = 0; i < particleCount; i++) {
+      const ix = i * 3;
+      // Outward from the center, with some randomness
+      const x = currentPositions[ix + 0] + (Math.random() * 2 - 1) * 1.5;
+      const y = currentPositions[ix + 1] + (Math.random() * 2 - 1) * 1.5;
+      const z = currentPositions[ix + 2] + (Math.random() * 2 - 1) * 1.5;
+      const len = Math.max(Math.hypot(x, y, z), 0.0001);
+      const k = strength * (0.4 + Math.random() * 0.6);
+
+      currentPositions[ix + 0] += (x / len) * k;
+      currentPositions[ix + 1] += (y / len) * k;
+      currentPositions[ix + 2] += (z / len) * k;
+    }
+    velocities.fill(0);
+    heartGeo.getAttribute("position").needsUpdate = true;
+
+    assembled = false;
+    settling = false;
+    assembleAmount = 0;
+    assembleUniform.value = 0;
+  }
+
+  // Reduced motion: skip the flight, show the formed shape right away
+  function finishAssembly() {
+    currentPositions.set(targetPositions);
+    velocities.fill(0);
+    heartGeo.getAttribute("position").needsUpdate = true;
+
+    assembleAmount = 1;
+    assembleUniform.value = 1;
+    assembled = true;
+    settling = false;
+  }
+
+  function tick(dt, now, frameMs) {
+    governor?.sample(frameMs);
+    time += dt;
+
+    // --- Animate stars slowly for atmosphere ---
+    if (stars && !reducedMotion) {
+      stars.rotation.y += dt * 0.02;
+      stars.rotation.x += dt * 0.006;
+    }
+    if (envLayer && !reducedMotion) envLayer.update(dt, time);
+    if (!reducedMotion) {
+      heartMaterial.uniforms.uTime.value = time;
+      starsMaterial.uniforms.uTime.value = time;
+    }
+
+    // --- Assembly ---
+    if (!assembled || settling) {
+      assembleAmount = Math.min(assembleAmount + dt * 0.22, 1);
+      if (reducedMotion) finishAssembly();
+      else if (useGpu) stepGpuAssembly();
+      else stepCpuAssembly(dt);
     }
 
     // --- Post-assembly float + rotation ---
     const boost = pulseBoost;
     pulseBoost = Math.max(0, pulseBoost - dt * 0.9);
 
+    // Reduced motion: keep everything where it is (no beating either)
+    if (reducedMotion) {
+      heartMaterial.uniforms.uSize.value = HEART_SIZE;
+      starsMaterial.uniforms.uOpacity.value = starsOpacity;
+      draw(dt);
+      return;
+    }
+
+    if (audioSource) applyAudio(dt);
+
     // Levitation (gentle)
     const floatAmp = 0.55 + boost * 0.18;
     const floatSpeed = 1.1 + boost * 0.35;
 
     heartGroup.position.y = Math.sin(time * floatSpeed) * floatAmp;
 
+    // Interaction adds on top of the timed motion (and of pulse())
+    const user = interaction?.update(dt);
+
     // Rotation (yaw + small roll)
     const rotBase = 0.22 + boost * 0.10;
-    heartGroup.rotation.y += dt * rotBase;
+    heartGroup.rotation.y += dt * rotBase + (user?.yaw ?? 0);
+    heartGroup.rotation.x = user?.pitch ?? 0;
     heartGroup.rotation.z = Math.sin(time * 0.7) * (0.10 + boost * 0.02);
 
-    // Subtle camera breathing
+    // Subtle camera breathing (+ tilt parallax on phones)
+    camera.position.x = (user?.parallaxX ?? 0) * 2.5;
+    camera.position.y = -(user?.parallaxY ?? 0) * 2;
     camera.position.z = 32 + Math.sin(time * 0.3) * 0.35;
     camera.lookAt(0, 0, 0);
 
-    renderer.render(scene, camera);
-    requestAnimationFrame(tick);
+    draw(dt);
   }
 
-  requestAnimationFrame(tick);
+  // Paused while the tab is hidden or the canvas is offscreen
+  const loop = createAnimationLoop(tick, { target: canvas });
+  loop.start();
 
   return {
     resize,
     pulse,
+    morphTo,
+    showText,
+    showImage,
+    setAudioSource,
+    setTheme,
+    setEnvironment,
+    scatter,
+    start: loop.start,
+    stop: loop.stop,
     destroy() {
+      loop.destroy();
+      stopWatchingMotion();
+      interaction?.destroy();
+      post?.dispose();
       renderer.dispose();
+      heartMaterial.dispose();
+      starsMaterial.dispose();
       if (heartGeo) heartGeo.dispose();
       if (stars) stars.geometry.dispose();
+      envLayer?.dispose();
     }
   };
 }
@@ -0,0 +1,144 @@
+import * as THREE from "three";
+import { GPU_ASSEMBLY_PARS, GPU_ASSEMBLY_VERTEX } from "./gpuAssembly.js";
+import { POINTER_REPEL_PARS, POINTER_REPEL_VERTEX } from "./pointerRepel.js";
+
+/**
+ * Particle shader for the heart and the stars (replaces PointsMaterial):
+ * - Soft round sprites, or little hearts (sprite: "heart")
+ * - Per-particle size ("aSize", multiplies uSize) and twinkle phase
+ *   ("aTwinkle"); uTwinkle sets how much brightness breathes over uTime
+ * - Size attenuation like PointsMaterial: uScale = pixel ratio * height / 2,
+ *   kept up to date with setPointScale()
+ * - Optional GPU assembly (./gpuAssembly.js) and pointer repel
+ *   (./pointerRepel.js), passing their uniforms in
+ * - Vertex colors, additive blending
+ */
+
+const vertexShader = /* glsl */ `
+  uniform float uSize;
+  uniform float uScale;
+  uniform float uTime;
+  uniform float uTwinkle;
+
+  attribute float aSize;
+  attribute float aTwinkle;
+
+  varying vec3 vColor;
+  varying float vBrightness;
+
+  #ifdef USE_GPU_ASSEMBLY
+    ${GPU_ASSEMBLY_PARS}
+  #endif
+  #ifdef USE_POINTER_REPEL
+    ${POINTER_REPEL_PARS}
+  #endif
+
+  void main() {
+    #ifdef USE_GPU_ASSEMBLY
+      ${GPU_ASSEMBLY_VERTEX}
+    #else
+      vec3 transformed = position;
+    #endif
+    #ifdef USE_POINTER_REPEL
+      ${POINTER_REPEL_VERTEX}
+    #endif
+
+    vec4 mvPosition = modelViewMatrix * vec4(transformed, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = uSize * aSize * (uScale / -mvPosition.z);
+
+    // Each particle breathes at its own speed and phase
+    float wave = sin(uTime * (0.8 + aTwinkle * 2.4) + aTwinkle * 6.2832);
+    vBrightness = 1.0 - uTwinkle * (0.5 + 0.5 * wave);
+    vColor = color;
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform float uOpacity;
+
+  varying vec3 vColor;
+  varying float vBrightness;
+
+  void main() {
+    vec2 p = gl_PointCoord * 2.0 - 1.0;
+    p.y = -p.y;
+
+    #ifdef SPRITE_HEART
+      // Implicit heart curve, soft edge
+      vec2 q = p * 1.3 + vec2(0.0, 0.3);
+      float f = pow(dot(q, q) - 1.0, 3.0) - q.x * q.x * q.y * q.y * q.y;
+      float mask = 1.0 - smoothstep(-0.25, 0.02, f);
+    #else
+      // Bright core fading out to the rim
+      float d = length(p);
+      float mask = pow(clamp(1.0 - d, 0.0, 1.0), 1.6);
+    #endif
+
+    if (mask < 0.01) discard;
+
+    gl_FragColor = vec4(vColor * vBrightness, uOpacity * mask);
+    #include <colorspace_fragment>
+  }
+`;
+
+/**
+ * Random per-particle attributes: size multipliers in [minSize, maxSize]
+ * and twinkle phases in [0, 1).
+ */
+export function randomParticleAttributes(count, { minSize = 0.6, maxSize = 1.4 } = {}) {
+  const sizes = new Float32Array(count);
+  const twinkles = new Float32Array(count);
+  for (let i = 0; i < count; i++) {
+    sizes[i] = minSize + Math.random() * (maxSize - minSize);
+    twinkles[i] = Math.random();
+  }
+  return { sizes, twinkles };
+}
+
+export function createParticleMaterial({
+  size,
+  opacity = 1,
+  twinkle = 0,
+  sprite = "round",
+  assemble = null, // { value } uniform from ./gpuAssembly.js users
+  repel = null     // { point, strength, radius } from ./heartInteraction.js
+}) {
+  const uniforms = {
+    uSize: { value: size },
+    uScale: { value: 1 },
+    uTime: { value: 0 },
+    uTwinkle: { value: twinkle },
+    uOpacity: { value: opacity }
+  };
+  const defines = {};
+
+  if (sprite === "heart") defines.SPRITE_HEART = "";
+  if (assemble) {
+    defines.USE_GPU_ASSEMBLY = "";
+    uniforms.uAssemble = assemble;
+  }
+  if (repel) {
+    defines.USE_POINTER_REPEL = "";
+    uniforms.uPointer = repel.point;
+    uniforms.uRepel = repel.strength;
+    uniforms.uRepelRadius = repel.radius;
+  }
+
+  return new THREE.ShaderMaterial({
+    uniforms,
+    defines,
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    blending: THREE.AdditiveBlending,
+    vertexColors: true
+  });
+}
+
+// Keep size attenuation in step with the canvas (call on resize / DPR change)
+export function setPointScale(material, renderer) {
+  const height = renderer.getSize(new THREE.Vector2()).y;
+  material.uniforms.uScale.value = renderer.getPixelRatio() * height * 0.5;
+}
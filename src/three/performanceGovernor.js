@@ -0,0 +1,108 @@
+/**
+ * Performance governor:
+ * - Fed one frame time per rendered frame (sample())
+ * - Every ~1s window it compares the measured fps against two thresholds
+ * - The thresholds are for a 60 Hz display; where rAF runs slower anyway
+ *   (30 Hz screens, iOS Low Power Mode, battery savers) they scale down
+ *   to the refresh rate: the fastest median frame interval seen so far,
+ *   snapped up to a common display rate
+ * - Steps the level down (0 = best) after sustained slow windows,
+ *   back up after a longer run of fast ones (hysteresis)
+ * - An upgrade that has to be undone soon after makes the next upgrade
+ *   attempt wait twice as long, so it doesn't oscillate
+ *
+ * The governor only tracks a level; the scene decides what a level means.
+ */
+const DISPLAY_RATES = [30, 60, 75, 90, 120, 144, 165, 240];
+
+// 29.7 fps -> 30, 41 -> 60: slow frames on a 60 Hz screen still count as slow
+function snapRate(fps) {
+  return DISPLAY_RATES.find((rate) => rate >= fps * 0.95) ?? fps;
+}
+
+export function createPerformanceGovernor({
+  maxLevel,
+  onChange,
+  lowFps = 42,
+  highFps = 56,
+  windowMs = 1000,
+  downAfter = 2, // slow windows in a row before stepping down
+  upAfter = 8 // fast windows in a row before stepping up
+}) {
+  let level = 0;
+
+  let frames = 0;
+  let elapsed = 0;
+  let intervals = [];
+  let refreshHz = 0;
+
+  let slowWindows = 0;
+  let fastWindows = 0;
+  let upDelay = upAfter;
+  let windowsSinceUpgrade = Infinity;
+
+  function setLevel(next) {
+    level = next;
+    slowWindows = 0;
+    fastWindows = 0;
+    onChange?.(level);
+  }
+
+  function evaluate(fps) {
+    windowsSinceUpgrade++;
+
+    // Only ever relaxed: a fast display keeps the 60 Hz thresholds
+    const scale = Math.min(1, refreshHz / 60);
+
+    if (fps < lowFps * scale) {
+      fastWindows = 0;
+      if (++slowWindows >= downAfter && level < maxLevel) {
+        // Upgrade didn't hold: back off before trying again
+        if (windowsSinceUpgrade <= upDelay) upDelay = Math.min(upDelay * 2, 120);
+        setLevel(level + 1);
+      }
+    } else if (fps >= highFps * scale) {
+      slowWindows = 0;
+      if (++fastWindows >= upDelay && level > 0) {
+        windowsSinceUpgrade = 0;
+        setLevel(level - 1);
+      }
+    } else {
+      slowWindows = 0;
+      fastWindows = 0;
+    }
+  }
+
+  function sample(frameMs) {
+    // Ignore hitches that aren't rendering cost (tab switch, debugger, GC)
+    if (!(frameMs > 0) || frameMs > 250) return;
+
+    frames++;
+    elapsed += frameMs;
+    intervals.push(frameMs);
+    if (elapsed < windowMs) return;
+
+    intervals.sort((a, b) => a - b);
+    const median = intervals[intervals.length >> 1];
+    refreshHz = Math.max(refreshHz, snapRate(1000 / median));
+
+    const fps = (frames * 1000) / elapsed;
+    reset();
+    evaluate(fps);
+  }
+
+  // Drop the current window (e.g. right after a rebuild hitch)
+  function reset() {
+    frames = 0;
+    elapsed = 0;
+    intervals = [];
+  }
+
+  return {
+    sample,
+    reset,
+    get level() {
+      return level;
+    }
+  };
+}
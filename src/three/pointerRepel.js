@@ -0,0 +1,19 @@
+/**
+ * Pointer repel:
+ * - Points within uRepelRadius of uPointer (in the object's local space)
+ *   are pushed outward in the vertex shader, scaled by uRepel (0..1)
+ * - Spliced into the particle shader (./particleMaterial.js) after the
+ *   assembly has placed `transformed`; the uniforms come from
+ *   ./heartInteraction.js (`repel`)
+ */
+
+export const POINTER_REPEL_PARS = /* glsl */ `
+  uniform vec3 uPointer;
+  uniform float uRepel;
+  uniform float uRepelRadius;`;
+
+export const POINTER_REPEL_VERTEX = /* glsl */ `
+  vec3 away = transformed - uPointer;
+  float awayLen = max(length(away), 1e-4);
+  float push = uRepel * (1.0 - smoothstep(0.0, uRepelRadius, awayLen));
+  transformed += (away / awayLen) * push * uRepelRadius * 0.55;`;
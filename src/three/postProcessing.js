@@ -0,0 +1,104 @@
+import * as THREE from "three";
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer.js";
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass.js";
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass.js";
+import { BokehPass } from "three/examples/jsm/postprocessing/BokehPass.js";
+import { OutputPass } from "three/examples/jsm/postprocessing/OutputPass.js";
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass.js";
+
+/**
+ * Post-processing for the heart scene:
+ * - UnrealBloom for a real glow (strength / radius / threshold per theme)
+ * - Optional, very light depth of field focused on the heart
+ * - Vignette
+ *
+ * The canvas is transparent over the CSS background, and bloom output is
+ * opaque, so the last pass ("finish") turns the image back into light:
+ * alpha follows brightness, and the vignette darkens the page behind too.
+ */
+
+const FinishShader = {
+  uniforms: {
+    tDiffuse: { value: null },
+    uVignette: { value: 0.35 }
+  },
+  vertexShader: /* glsl */ `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }`,
+  fragmentShader: /* glsl */ `
+    uniform sampler2D tDiffuse;
+    uniform float uVignette;
+    varying vec2 vUv;
+    void main() {
+      vec3 light = texture2D(tDiffuse, vUv).rgb;
+      float a = clamp(max(light.r, max(light.g, light.b)), 0.0, 1.0);
+
+      vec2 d = vUv - 0.5;
+      float v = 1.0 - uVignette * smoothstep(0.25, 0.75, length(d) * 1.25);
+
+      // Premultiplied: light * v over a background darkened by v
+      gl_FragColor = vec4(light * v, 1.0 - v * (1.0 - a));
+    }`
+};
+
+const HEART_DISTANCE = 32; // camera -> heart, for the depth of field focus
+
+export function createPostProcessing({
+  renderer,
+  scene,
+  camera,
+  bloom,
+  depthOfField = false,
+  vignette = 0.35
+}) {
+  const size = renderer.getSize(new THREE.Vector2());
+
+  const composer = new EffectComposer(renderer);
+  composer.addPass(new RenderPass(scene, camera));
+
+  const bloomPass = new UnrealBloomPass(size, bloom.strength, bloom.radius, bloom.threshold);
+  composer.addPass(bloomPass);
+
+  let bokehPass = null;
+  if (depthOfField) {
+    bokehPass = new BokehPass(scene, camera, {
+      focus: HEART_DISTANCE,
+      aperture: 0.0004,
+      maxblur: 0.004
+    });
+    composer.addPass(bokehPass);
+  }
+
+  composer.addPass(new OutputPass());
+
+  const finishPass = new ShaderPass(FinishShader);
+  finishPass.uniforms.uVignette.value = vignette;
+  composer.addPass(finishPass);
+
+  function setBloom({ strength, radius, threshold }) {
+    bloomPass.strength = strength;
+    bloomPass.radius = radius;
+    bloomPass.threshold = threshold;
+  }
+
+  return {
+    render(dt) {
+      composer.render(dt);
+    },
+    // Mirrors renderer.setPixelRatio + setSize
+    resize(width, height, pixelRatio) {
+      composer.setPixelRatio(pixelRatio);
+      composer.setSize(width, height);
+    },
+    setBloom,
+    dispose() {
+      bloomPass.dispose();
+      bokehPass?.dispose();
+      finishPass.dispose();
+      composer.dispose();
+    }
+  };
+}
@@ -0,0 +1,369 @@
+/**
+ * Particle shapes:
+ * - Each shape is a generator (count, options) -> Float32Array of xyz targets,
+ *   or { positions, colors } when the shape brings its own colors (images)
+ * - Shapes fit roughly in the same ~8 x 7 box as the original heart,
+ *   with a little z thickness so the cloud reads as a volume
+ * - registerShape() lets the page add its own shapes; an optional
+ *   particleCount(options, quality) hook lets a shape ask for more
+ *   (or fewer) points than the quality bucket's heartCount
+ *
+ * No bundled assets: everything is parametric or drawn on a 2D canvas
+ * (the "image" shape samples whatever picture the caller hands in).
+ */
+
+import * as THREE from "three";
+
+const registry = new Map();
+
+export function registerShape(name, generator, { particleCount } = {}) {
+  registry.set(name, { generate: generator, particleCount: particleCount || null });
+}
+
+export function getShape(name) {
+  return registry.get(name) || null;
+}
+
+export function listShapes() {
+  return Array.from(registry.keys());
+}
+
+function rand(min, max) {
+  return min + Math.random() * (max - min);
+}
+
+// Small organic jitter shared by all shapes
+function jitter() {
+  return (Math.random() * 2 - 1) * 0.08;
+}
+
+function write(positions, i, x, y, z) {
+  positions[i * 3 + 0] = x + jitter();
+  positions[i * 3 + 1] = y + jitter();
+  positions[i * 3 + 2] = z + jitter();
+}
+
+// --- Heart ---
+// A classic 2D heart curve:
+// x = 16 sin^3(t)
+// y = 13 cos(t) - 5 cos(2t) - 2 cos(3t) - cos(4t)
+// We'll create a 3D "volume" by extruding along z and distributing points.
+function heart2D(t) {
+  const x = 16 * Math.pow(Math.sin(t), 3);
+  const y =
+    13 * Math.cos(t) -
+    5 * Math.cos(2 * t) -
+    2 * Math.cos(3 * t) -
+    1 * Math.cos(4 * t);
+  return { x, y };
+}
+
+/**
+ * Generate points "inside" the heart area by:
+ * - sample curve position
+ * - scale inward by a random factor r^k to fill the interior
+ * - add z thickness
+ */
+function heartPoint(s, zThickness) {
+  const t = Math.random() * Math.PI * 2;
+  const p = heart2D(t);
+
+  // Fill interior: r in [0..1], use power to bias points towards boundary a bit
+  const r = Math.pow(Math.random(), 0.55);
+
+  // Thickness (more dense near center)
+  const z = (Math.random() * 2 - 1) * zThickness * Math.pow(1 - r, 0.2);
+
+  return { x: p.x * r * s, y: p.y * r * s, z };
+}
+
+registerShape("heart", (count) => {
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const p = heartPoint(0.22, 2.6);
+    write(positions, i, p.x, p.y, p.z);
+  }
+  return positions;
+});
+
+registerShape("doubleHeart", (count) => {
+  const positions = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    // Two smaller hearts leaning into each other
+    const side = i % 2 === 0 ? -1 : 1;
+    const p = heartPoint(0.15, 1.8);
+    const tilt = side * -0.22;
+    const x = p.x * Math.cos(tilt) - p.y * Math.sin(tilt);
+    const y = p.x * Math.sin(tilt) + p.y * Math.cos(tilt);
+    write(positions, i, x + side * 1.9, y + side * 0.35, p.z + side * 0.6);
+  }
+  return positions;
+});
+
+registerShape("ring", (count) => {
+  const positions = new Float32Array(count * 3);
+  const R = 3.2; // ring radius
+  const tube = 0.55; // tube radius
+  for (let i = 0; i < count; i++) {
+    const u = Math.random() * Math.PI * 2;
+    const v = Math.random() * Math.PI * 2;
+    const r = tube * Math.sqrt(Math.random());
+    write(
+      positions,
+      i,
+      (R + r * Math.cos(v)) * Math.cos(u),
+      (R + r * Math.cos(v)) * Math.sin(u),
+      r * Math.sin(v)
+    );
+  }
+  return positions;
+});
+
+registerShape("star", (count) => {
+  const positions = new Float32Array(count * 3);
+  const points = 5;
+  const outer = 3.9;
+  const inner = 1.6;
+  const step = Math.PI / points;
+  for (let i = 0; i < count; i++) {
+    // Pick a triangle (center, tip, valley) and fill it
+    const k = Math.floor(Math.random() * points * 2);
+    const a0 = Math.PI / 2 + k * step;
+    const a1 = a0 + step;
+    const r0 = k % 2 === 0 ? outer : inner;
+    const r1 = k % 2 === 0 ? inner : outer;
+
+    let u = Math.random();
+    let v = Math.random();
+    if (u + v > 1) {
+      u = 1 - u;
+      v = 1 - v;
+    }
+    const x = u * r0 * Math.cos(a0) + v * r1 * Math.cos(a1);
+    const y = u * r0 * Math.sin(a0) + v * r1 * Math.sin(a1);
+    const edge = u + v; // 0 at center, 1 on the outline
+    const z = (Math.random() * 2 - 1) * 1.4 * Math.pow(1 - edge, 0.5);
+    write(positions, i, x, y - 0.3, z);
+  }
+  return positions;
+});
+
+registerShape("rose", (count) => {
+  const positions = new Float32Array(count * 3);
+  const petals = 5; // rhodonea r = cos(k θ) with odd k -> k petals
+  const R = 3.6;
+  for (let i = 0; i < count; i++) {
+    const theta = Math.random() * Math.PI;
+    const rr = R * Math.cos(petals * theta);
+    const r = Math.pow(Math.random(), 0.6);
+    const x = rr * r * Math.cos(theta);
+    const y = rr * r * Math.sin(theta);
+    // Cup the petals slightly towards the viewer
+    const d = Math.hypot(x, y) / R;
+    const z = d * d * 1.6 - 0.8 + rand(-0.35, 0.35) * (1 - d);
+    write(positions, i, x, y, z);
+  }
+  return positions;
+});
+
+/* -------------------------
+   Text (names, initials, "Alina ❤ Max")
+   ------------------------- */
+
+const TEXT_FONT_PX = 120; // sampling resolution, not the on-screen size
+const TEXT_STEP = 2; // sample every Nth canvas pixel
+const TEXT_MAX_WIDTH = 9.5; // world units, about the heart's width
+
+let textCache = { key: "", layout: null };
+
+/**
+ * Lay out (multi-line) text on an offscreen canvas and return the opaque
+ * sample cells in world units, centered on the origin.
+ * - font: CSS font-family list
+ * - weight: CSS font-weight
+ * - size: line height in world units (shrunk if the widest line won't fit)
+ */
+export function layoutText({
+  text = "❤",
+  font = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif",
+  weight = 800,
+  size = 2.2
+} = {}) {
+  const key = JSON.stringify([text, font, weight, size]);
+  if (textCache.key === key) return textCache.layout;
+
+  const lines = String(text).split("\n");
+  const lineHeightPx = TEXT_FONT_PX * 1.2;
+  const cssFont = `${weight} ${TEXT_FONT_PX}px ${font}`;
+
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+
+  ctx.font = cssFont;
+  const widest = Math.max(...lines.map((l) => ctx.measureText(l).width), 1);
+  canvas.width = Math.ceil(widest + TEXT_FONT_PX * 0.2);
+  canvas.height = Math.ceil(lines.length * lineHeightPx + TEXT_FONT_PX * 0.2);
+
+  ctx.font = cssFont; // resizing the canvas resets the context
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#fff";
+  lines.forEach((line, i) => {
+    const y = canvas.height / 2 + (i - (lines.length - 1) / 2) * lineHeightPx;
+    ctx.fillText(line, canvas.width / 2, y);
+  });
+
+  const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+  const scale = Math.min(size / lineHeightPx, TEXT_MAX_WIDTH / width);
+  const cells = [];
+  for (let y = 0; y < height; y += TEXT_STEP) {
+    for (let x = 0; x < width; x += TEXT_STEP) {
+      if (data[(y * width + x) * 4 + 3] > 128) {
+        cells.push((x - width / 2) * scale, (height / 2 - y) * scale);
+      }
+    }
+  }
+
+  const layout = { cells: new Float32Array(cells), cellSize: TEXT_STEP * scale };
+  textCache = { key, layout };
+  return layout;
+}
+
+registerShape(
+  "text",
+  (count, options) => {
+    const { cells, cellSize } = layoutText(options);
+    const cellCount = cells.length / 2;
+    if (cellCount === 0) return getShape("heart").generate(count);
+
+    // Walk the cells in a shuffled order so every glyph gets covered evenly,
+    // even when there are fewer particles than cells.
+    const order = new Uint32Array(cellCount);
+    for (let i = 0; i < cellCount; i++) order[i] = i;
+    for (let i = cellCount - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    const positions = new Float32Array(count * 3);
+    for (let i = 0; i < count; i++) {
+      const c = order[i % cellCount] * 2;
+      const x = cells[c] + Math.random() * cellSize;
+      const y = cells[c + 1] - Math.random() * cellSize;
+      write(positions, i, x, y, rand(-0.4, 0.4));
+    }
+    return positions;
+  },
+  {
+    // Long names have many cells: borrow extra particles (up to the bucket's
+    // textCount) so letters stay filled on phones instead of going sparse.
+    particleCount(options, quality) {
+      const cellCount = layoutText(options).cells.length / 2;
+      return Math.round(
+        Math.min(Math.max(cellCount * 1.3, quality.heartCount), quality.textCount)
+      );
+    }
+  }
+);
+
+/* -------------------------
+   Image (a shared photo as a particle cloud)
+   ------------------------- */
+
+const IMAGE_MAX_WIDTH = 9; // world units
+const IMAGE_MAX_HEIGHT = 7;
+
+/**
+ * Turn a File/Blob, a URL (bundled asset) or an already decoded
+ * image/bitmap/canvas into something drawImage() accepts.
+ */
+export async function loadImageSource(source) {
+  if (typeof Blob !== "undefined" && source instanceof Blob) {
+    return createImageBitmap(source);
+  }
+  if (typeof source === "string") {
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.src = source;
+    await img.decode();
+    return img;
+  }
+  return source;
+}
+
+registerShape("image", (count, { image } = {}) => {
+  if (!image) return getShape("heart").generate(count);
+
+  // Sampling resolution follows the particle budget (quality bucket):
+  // about two pixels per particle for a square picture.
+  const srcW = image.naturalWidth || image.width;
+  const srcH = image.naturalHeight || image.height;
+  const long = Math.round(THREE.MathUtils.clamp(Math.sqrt(count * 2), 48, 220));
+  const fit = long / Math.max(srcW, srcH, 1);
+  const w = Math.max(1, Math.round(srcW * fit));
+  const h = Math.max(1, Math.round(srcH * fit));
+
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(image, 0, 0, w, h);
+  const { data } = ctx.getImageData(0, 0, w, h);
+
+  // Weight = alpha * luminance: dark/transparent pixels get few particles
+  // (they would be invisible with additive blending anyway).
+  const weights = new Float32Array(w * h);
+  let total = 0;
+  for (let i = 0; i < w * h; i++) {
+    const r = data[i * 4] / 255;
+    const g = data[i * 4 + 1] / 255;
+    const b = data[i * 4 + 2] / 255;
+    const a = data[i * 4 + 3] / 255;
+    const lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const wgt = a * lum < 0.06 ? 0 : a * (0.25 + lum);
+    total += wgt;
+    weights[i] = total; // cumulative, for weighted picks below
+  }
+  if (total === 0) return getShape("heart").generate(count);
+
+  const scale = Math.min(IMAGE_MAX_WIDTH / w, IMAGE_MAX_HEIGHT / h);
+  const positions = new Float32Array(count * 3);
+  const colors = new Float32Array(count * 3);
+  const c = new THREE.Color();
+
+  for (let i = 0; i < count; i++) {
+    // Binary search the cumulative weights
+    const pick = Math.random() * total;
+    let lo = 0;
+    let hi = weights.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (weights[mid] < pick) lo = mid + 1;
+      else hi = mid;
+    }
+
+    const px = lo % w;
+    const py = Math.floor(lo / w);
+    const r = data[lo * 4] / 255;
+    const g = data[lo * 4 + 1] / 255;
+    const b = data[lo * 4 + 2] / 255;
+    const lum = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+
+    // Brighter pixels float slightly towards the viewer for some relief
+    write(
+      positions,
+      i,
+      (px + Math.random() - w / 2) * scale,
+      (h / 2 - py - Math.random()) * scale,
+      (lum - 0.5) * 1.2
+    );
+
+    c.setRGB(r, g, b, THREE.SRGBColorSpace);
+    colors[i * 3 + 0] = c.r;
+    colors[i * 3 + 1] = c.g;
+    colors[i * 3 + 2] = c.b;
+  }
+
+  return { positions, colors };
+});
@@ -0,0 +1,26 @@
+/**
+ * Screen reader announcements:
+ * - One visually hidden aria-live region, created on first use
+ * - announce(message) speaks it politely (re-announces repeated text)
+ */
+
+let region = null;
+
+function ensureRegion() {
+  if (region) return region;
+  region = document.createElement("p");
+  region.className = "sr-only";
+  region.setAttribute("aria-live", "polite");
+  region.setAttribute("aria-atomic", "true");
+  document.body.appendChild(region);
+  return region;
+}
+
+export function announce(message) {
+  const el = ensureRegion();
+  // Clear first so the same message twice in a row is still read out
+  el.textContent = "";
+  setTimeout(() => {
+    el.textContent = message;
+  }, 60);
+}
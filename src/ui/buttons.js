@@ -3,48 +3,72 @@
  * - YES: open modal, hide NO, start music
  * - NO: runs away (fixed) and SHRINKS on hover/attempts
  * - When modal closes: restore NO back and reset size
+ * - Game modes from surprise.noButton (./noButtonModes.js): NO may shrink
+ *   away for good, turn into a YES, grow the YES or plead; their progress
+ *   is kept when NO is restored
+ * - Keyboard / screen reader: focusing NO makes it hop (focus stays on it),
+ *   Enter / Space teases and announces a message in an aria-live region
+ * - prefers-reduced-motion: NO stays put (only shrinks), confetti
+ *   bursts become hearts that softly fade in and out in place
+ * - Optional sfx (../audio/sfx.js): NO escaping, tease and YES bursts
  */
 
-export function setupButtons({ yesBtn, noBtn, fxCanvas, modal, onYes }) {
+import { createAnimationLoop } from "../animation/scheduler.js";
+import { onMotionPreferenceChange, prefersReducedMotion } from "../animation/motion.js";
+import { announce } from "./announce.js";
+import { createNoButtonGame } from "./noButtonModes.js";
+import { t } from "../i18n/index.js";
+import { getTheme } from "../theme/themes.js";
+
+const TEASE_MESSAGES = ["no.tease1", "no.tease2", "no.tease3", "no.tease4"];
+
+export function setupButtons({ yesBtn, noBtn, fxCanvas, modal, letter, noButton, yesLabel, onYes, sfx = null }) {
   if (!yesBtn || !noBtn) {
     console.error("Buttons not found. Check ids: btnYes / btnNo");
     return;
   }
 
-  const fx = createHeartsFx(fxCanvas);
-  const noCtrl = createRunawayNo(noBtn);
+  const fx = createHeartsFx(fxCanvas, { sfx });
+  const game = createNoButtonGame(noButton, {
+    noBtn,
+    yesBtn,
+    yesLabel: yesLabel ?? yesBtn.textContent
+  });
+  const noCtrl = createRunawayNo(noBtn, {
+    ...game.runner,
+    onEscape: () => {
+      sfx?.escape();
+      game.chased();
+    },
+    onVanish: () => {
+      if (document.activeElement === noBtn) yesBtn.focus({ preventScroll: true });
+      announce(t("no.vanished"));
+    }
+  });
 
   // bring NO back after modal close
   modal.onClose?.(() => {
     noCtrl.restore();
   });
 
-  // YES
-  yesBtn.addEventListener("click", async () => {
+  // YES (also a NO that has turned into one)
+  async function sayYes() {
     fx.burst();
     onYes?.();
 
     noCtrl.hide();
 
-    modal.open({
-      title: "Une lettre pour toi ❤️",
-      body:
-`Alina, tu es l'unique et la plus belle lumière de ma vie.
-À tes côtés, mon monde devient un écrin de douceur, d'éclat et de pure merveille.
-Chaque instant partagé avec toi est le plus précieux des trésors, un souffle de bonheur pur.
-Merci d'exister, tout simplement.`
-    });
+    modal.open(letter, { returnFocus: yesBtn });
 
-    try {
-      await modal.toggleMusic?.();
-    } catch {}
-  });
+    await modal.playMusic?.();
+  }
+  yesBtn.addEventListener("click", sayYes);
 
   // when mouse comes near -> run
   window.addEventListener(
     "pointermove",
     (e) => {
-      if (modal.isOpen?.()) return;
+      if (modal.isOpen?.() || game.isYes()) return;
       noCtrl.runAwayFrom(e.clientX, e.clientY, false);
     },
     { passive: true }
@@ -54,7 +78,7 @@ Merci d'exister, tout simplement.`
   noBtn.addEventListener(
     "pointerenter",
     (e) => {
-      if (modal.isOpen?.()) return;
+      if (modal.isOpen?.() || game.isYes()) return;
       noCtrl.shrinkHover();
       noCtrl.runAwayFrom(e.clientX, e.clientY, true);
     },
@@ -65,7 +89,8 @@ Merci d'exister, tout simplement.`
   noBtn.addEventListener(
     "pointerdown",
     (e) => {
-      if (modal.isOpen?.()) return;
+      if (modal.isOpen?.() || game.isYes()) return;
+      game.chased();
       noCtrl.shrinkPress();
       noCtrl.runAwayFrom(e.clientX, e.clientY, true);
       fx.tease(e.clientX, e.clientY);
@@ -74,33 +99,86 @@ Merci d'exister, tout simplement.`
     { passive: false }
   );
 
+  // keyboard focus on NO -> hop away, focus stays on it
+  noBtn.addEventListener("focus", () => {
+    if (modal.isOpen?.() || game.isYes() || !noBtn.matches(":focus-visible")) return;
+    noCtrl.hop();
+  });
+
+  // Enter / Space / screen reader activation -> shrink + hop + tease + announce
+  // (pointer presses are handled on pointerdown; their clicks have detail > 0)
+  let teaseIndex = 0;
+  noBtn.addEventListener("click", (e) => {
+    if (modal.isOpen?.()) return;
+    if (game.isYes()) {
+      sayYes();
+      return;
+    }
+    if (e.detail !== 0) return;
+    game.chased();
+    noCtrl.shrinkPress();
+    noCtrl.hop();
+
+    const rect = noBtn.getBoundingClientRect();
+    fx.tease(rect.left + rect.width / 2, rect.top + rect.height / 2);
+
+    announce(t(TEASE_MESSAGES[teaseIndex++ % TEASE_MESSAGES.length]));
+  });
+
   window.addEventListener("resize", () => noCtrl.reclamp(), { passive: true });
   window.addEventListener("scroll", () => noCtrl.reclamp(), { passive: true });
 
   return { fx };
 }
 
-function createRunawayNo(noBtn) {
+/**
+ * With vanish, NO shrinks with no floor and, once too small to click,
+ * disappears (onVanish) for good: restore() keeps it gone, and keeps its
+ * scale until then.
+ */
+function createRunawayNo(noBtn, { onEscape, onVanish, vanish = false } = {}) {
   let isFixed = false;
   let hidden = false;
+  let vanished = false;
 
   const originalParent = noBtn.parentNode;
   const originalNextSibling = noBtn.nextSibling;
 
   let placeholder = null;
 
+  // Moving the button in the DOM drops focus; we put it back
+  // (and ignore the focus event that causes)
+  let refocusing = false;
+  function keepFocus(move) {
+    const hadFocus = document.activeElement === noBtn;
+    move();
+    if (hadFocus && document.activeElement !== noBtn) {
+      refocusing = true;
+      noBtn.focus({ preventScroll: true });
+      refocusing = false;
+    }
+  }
+
   let left = 0;
   let top = 0;
 
   // scale state
   let scale = 1.0;
-  const minScale = 0.55;
+  const minScale = vanish ? 0 : 0.55;
+  const vanishScale = 0.3;
   const hoverShrink = 0.90;  // stronger so you SEE it
   const pressShrink = 0.85;
 
   let lastMove = 0;
   const throttleMs = 120;
 
+  // Reduced motion: no running away; bring NO home if it already ran
+  let reducedMotion = prefersReducedMotion();
+  onMotionPreferenceChange((reduced) => {
+    reducedMotion = reduced;
+    if (reduced && isFixed && !hidden) restore();
+  });
+
   function clamp(v, min, max) {
     return Math.max(min, Math.min(max, v));
   }
@@ -116,16 +194,24 @@ function createRunawayNo(noBtn) {
     applyScale();
   }
 
-  function shrinkHover() {
+  function shrinkBy(factor) {
     if (hidden) return;
-    scale = Math.max(minScale, scale * hoverShrink);
+    scale = Math.max(minScale, scale * factor);
     applyScale();
+
+    if (vanish && scale < vanishScale) {
+      vanished = true;
+      hide();
+      onVanish?.();
+    }
+  }
+
+  function shrinkHover() {
+    shrinkBy(hoverShrink);
   }
 
   function shrinkPress() {
-    if (hidden) return;
-    scale = Math.max(minScale, scale * pressShrink);
-    applyScale();
+    shrinkBy(pressShrink);
   }
 
   function hide() {
@@ -135,6 +221,7 @@ function createRunawayNo(noBtn) {
   }
 
   function restore() {
+    if (vanished) return;
     hidden = false;
 
     // remove placeholder
@@ -144,8 +231,10 @@ function createRunawayNo(noBtn) {
     placeholder = null;
 
     // move back to original layout position
-    if (originalNextSibling) originalParent.insertBefore(noBtn, originalNextSibling);
-    else originalParent.appendChild(noBtn);
+    keepFocus(() => {
+      if (originalNextSibling) originalParent.insertBefore(noBtn, originalNextSibling);
+      else originalParent.appendChild(noBtn);
+    });
 
     // remove fixed styles
     noBtn.classList.remove("btn-no-fixed");
@@ -159,8 +248,9 @@ function createRunawayNo(noBtn) {
 
     isFixed = false;
 
-    // reset scale
-    resetScale();
+    // reset scale (a vanishing NO keeps shrinking from where it was)
+    if (vanish) applyScale();
+    else resetScale();
 
     // also remove any leftover transform important (keep it but at scale 1)
     // (already done by resetScale)
@@ -178,7 +268,7 @@ function createRunawayNo(noBtn) {
     placeholder.style.height = `${rect.height}px`;
 
     originalParent.insertBefore(placeholder, noBtn);
-    document.body.appendChild(noBtn);
+    keepFocus(() => document.body.appendChild(noBtn));
 
     left = rect.left;
     top = rect.top;
@@ -226,7 +316,7 @@ function createRunawayNo(noBtn) {
   }
 
   function runAwayFrom(px, py, force = false) {
-    if (hidden) return;
+    if (hidden || reducedMotion) return;
 
     const now = performance.now();
     if (!force && now - lastMove < throttleMs) return;
@@ -266,25 +356,40 @@ function createRunawayNo(noBtn) {
 
     noBtn.style.left = `${left}px`;
     noBtn.style.top = `${top}px`;
+    onEscape?.();
+  }
+
+  // Keyboard / AT: hop away from where it is now
+  function hop() {
+    if (refocusing) return;
+    const rect = getRect();
+    runAwayFrom(rect.left + rect.width / 2, rect.top + rect.height / 2, true);
   }
 
-  return { runAwayFrom, reclamp, hide, restore, shrinkHover, shrinkPress };
+  return { runAwayFrom, reclamp, hide, restore, shrinkHover, shrinkPress, hop };
 }
 
 /* -------------------------
    Hearts FX (Canvas 2D)
    ------------------------- */
 
-function createHeartsFx(canvas) {
+function createHeartsFx(canvas, { sfx = null } = {}) {
   const ctx = canvas.getContext("2d", { alpha: true });
   const hearts = [];
-  let running = false;
-  let lastT = performance.now();
+
+  // Only runs while hearts are in flight; paused in background tabs
+  const loop = createAnimationLoop(tick);
 
   function rand(min, max) {
     return min + Math.random() * (max - min);
   }
 
+  // Random color within the active theme's confetti ranges
+  function confettiColor() {
+    const { hue, sat, lit } = getTheme().confetti;
+    return { hue: rand(...hue), sat: rand(...sat), lit: rand(...lit) };
+  }
+
   function heartPath(c, x, y, size) {
     const s = size;
     c.beginPath();
@@ -300,6 +405,11 @@ function createHeartsFx(canvas) {
     const w = window.innerWidth;
     const h = window.innerHeight;
 
+    if (prefersReducedMotion()) {
+      spawnFade(cx ?? w * 0.5, cy ?? h * 0.55, Math.ceil(count / 5), cx === undefined ? 0.32 : 0.06);
+      return;
+    }
+
     for (let i = 0; i < count; i++) {
       const angle = rand(-Math.PI, Math.PI);
       const speed = rand(260, 820);
@@ -315,34 +425,51 @@ function createHeartsFx(canvas) {
         vr: rand(-4.5, 4.5),
         life: rand(0.9, 1.35),
         t: 0,
-        hue: rand(330, 355),
-        sat: rand(75, 95),
-        lit: rand(58, 70),
+        ...confettiColor(),
         alpha: rand(0.7, 1.0)
       });
     }
 
-    if (!running) start();
+    loop.start();
+  }
+
+  // Reduced-motion stand-in for a burst: a few hearts scattered around
+  // (x, y) that fade in and out without moving.
+  function spawnFade(x, y, count, spread) {
+    const r = Math.min(window.innerWidth, window.innerHeight) * spread;
+
+    for (let i = 0; i < count; i++) {
+      hearts.push({
+        x: x + rand(-r, r),
+        y: y + rand(-r, r),
+        vx: 0,
+        vy: 0,
+        g: 0,
+        size: rand(6, 14),
+        rot: rand(-0.4, 0.4),
+        vr: 0,
+        life: rand(1.4, 2.2),
+        t: 0,
+        ...confettiColor(),
+        alpha: rand(0.5, 0.85),
+        still: true
+      });
+    }
+
+    loop.start();
   }
 
   function burst() {
+    sfx?.yes();
     spawnBurst(undefined, undefined, window.innerWidth > 700 ? 160 : 100);
   }
 
   function tease(x, y) {
+    sfx?.tease();
     spawnBurst(x, y, window.innerWidth > 700 ? 50 : 34);
   }
 
-  function start() {
-    running = true;
-    lastT = performance.now();
-    requestAnimationFrame(tick);
-  }
-
-  function tick(now) {
-    const dt = Math.min((now - lastT) / 1000, 0.033);
-    lastT = now;
-
+  function tick(dt) {
     const w = window.innerWidth;
     const h = window.innerHeight;
 
@@ -357,9 +484,12 @@ function createHeartsFx(canvas) {
       p.y += p.vy * dt;
       p.rot += p.vr * dt;
 
-      const fade = 1 - p.t / p.life;
+      // Still hearts fade in then out; flying ones only fade out
+      const fade = p.still
+        ? Math.sin(Math.PI * Math.min(p.t / p.life, 1))
+        : 1 - p.t / p.life;
 
-      if (fade <= 0 || p.y > h + 120 || p.x < -140 || p.x > w + 140) {
+      if (p.t >= p.life || p.y > h + 120 || p.x < -140 || p.x > w + 140) {
         hearts.splice(i, 1);
         continue;
       }
@@ -378,12 +508,11 @@ function createHeartsFx(canvas) {
       ctx.restore();
     }
 
-    if (hearts.length > 0) requestAnimationFrame(tick);
-    else {
-      running = false;
+    if (hearts.length === 0) {
+      loop.stop();
       ctx.clearRect(0, 0, w, h);
     }
   }
 
-  return { burst, tease };
+  return { burst, tease, destroy: loop.destroy };
 }
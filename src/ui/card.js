@@ -0,0 +1,20 @@
+/**
+ * Card content:
+ * - Fills the question card (title, subtitle, hint, button labels)
+ *   from the resolved surprise config
+ */
+
+export function applyCardContent(rootEl, surprise) {
+  if (!rootEl) return;
+
+  const set = (selector, text) => {
+    const el = rootEl.querySelector(selector);
+    if (el) el.textContent = text;
+  };
+
+  set(".title", surprise.question);
+  set(".subtitle", surprise.subtitle);
+  set(".hint", surprise.hint);
+  set("#btnYes", surprise.buttons.yes);
+  set("#btnNo", surprise.buttons.no);
+}
@@ -0,0 +1,176 @@
+import { prefersReducedMotion } from "../animation/motion.js";
+import { t } from "../i18n/index.js";
+
+/**
+ * Letter pages:
+ * - toPages() turns letter content into a list of pages:
+ *     { pages: ["…", { body, action, typewriter }] }  explicit pages
+ *     { body: "…\n---\n…" }                             a line "---" splits pages
+ * - createLetterPager() shows one page at a time inside the modal:
+ *   prev / next buttons, swipe, arrow keys (via next()/prev()),
+ *   "2 / 4" progress + dots, optional typewriter reveal (skippable)
+ * - Showing a page fires onPageAction(page.action, index) if it has one
+ *   (e.g. "pulse" or "burst", wired to the scene in main.js)
+ */
+
+const PAGE_BREAK = /^[ \t]*---[ \t]*$/m;
+const TYPE_INTERVAL_MS = 28;
+const SWIPE_MIN_PX = 50;
+
+export function toPages(content) {
+  const typewriter = content.typewriter === true;
+
+  if (Array.isArray(content.pages) && content.pages.length > 0) {
+    return content.pages.map((page) => {
+      const p = typeof page === "string" ? { body: page } : page;
+      return {
+        body: String(p.body ?? ""),
+        action: p.action || null,
+        typewriter: p.typewriter ?? typewriter
+      };
+    });
+  }
+
+  return String(content.body ?? "")
+    .split(PAGE_BREAK)
+    .map((body) => ({ body: body.trim(), action: null, typewriter }))
+    .filter((page, i, all) => page.body !== "" || all.length === 1);
+}
+
+export function createLetterPager(
+  { pageEl, prevBtn, nextBtn, skipBtn, progressEl, dotsEl },
+  pages,
+  { renderBody, onPageAction }
+) {
+  let index = -1;
+  let typeTimer = 0;
+  let typing = false;
+  let currentText = "";
+
+  const multi = pages.length > 1;
+  prevBtn.hidden = !multi;
+  nextBtn.hidden = !multi;
+  progressEl.hidden = !multi;
+  dotsEl.hidden = !multi;
+
+  dotsEl.innerHTML = pages.map(() => `<span class="modal-dot"></span>`).join("");
+  const dots = Array.from(dotsEl.children);
+
+  function stopTyping() {
+    clearInterval(typeTimer);
+    typeTimer = 0;
+    typing = false;
+    skipBtn.hidden = true;
+    pageEl.removeAttribute("aria-busy");
+  }
+
+  // Reveal the whole page at once
+  function skip() {
+    if (!typing) return false;
+    stopTyping();
+    pageEl.innerHTML = renderBody(currentText);
+    return true;
+  }
+
+  // Render the page once, then reveal its text nodes character by
+  // character, so markup (bold, links, lists) is never shown half-parsed.
+  function typeOut(text) {
+    pageEl.innerHTML = renderBody(text);
+
+    const nodes = [];
+    const walker = document.createTreeWalker(pageEl, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      nodes.push({ node: walker.currentNode, full: walker.currentNode.data });
+      walker.currentNode.data = "";
+    }
+
+    let n = 0;
+    let shown = 0;
+    typing = true;
+    skipBtn.hidden = false;
+    pageEl.setAttribute("aria-busy", "true");
+
+    typeTimer = setInterval(() => {
+      while (n < nodes.length && shown >= nodes[n].full.length) {
+        n++;
+        shown = 0;
+      }
+      if (n >= nodes.length) {
+        skip();
+        return;
+      }
+
+      const { node, full } = nodes[n];
+      // Don't stop in the middle of a surrogate pair (emoji)
+      shown++;
+      const code = full.charCodeAt(shown - 1);
+      if (code >= 0xd800 && code <= 0xdbff) shown++;
+      node.data = full.slice(0, shown);
+    }, TYPE_INTERVAL_MS);
+  }
+
+  function show(i) {
+    if (i < 0 || i >= pages.length || i === index) return;
+    stopTyping();
+    index = i;
+
+    const page = pages[i];
+    currentText = page.body;
+
+    if (page.typewriter && !prefersReducedMotion()) typeOut(page.body);
+    else pageEl.innerHTML = renderBody(page.body);
+
+    prevBtn.disabled = i === 0;
+    nextBtn.disabled = i === pages.length - 1;
+    progressEl.textContent = t("modal.progress", { page: i + 1, total: pages.length });
+    dots.forEach((dot, d) => dot.classList.toggle("active", d === i));
+
+    if (page.action) onPageAction?.(page.action, i);
+  }
+
+  // First press while typing finishes the page, the next one turns it
+  function next() {
+    if (skip()) return;
+    show(index + 1);
+  }
+
+  function prev() {
+    if (skip()) return;
+    show(index - 1);
+  }
+
+  // Swipe left / right on the page
+  let swipeStart = null;
+  function onPointerDown(e) {
+    swipeStart = { x: e.clientX, y: e.clientY };
+  }
+  function onPointerUp(e) {
+    if (!swipeStart) return;
+    const dx = e.clientX - swipeStart.x;
+    const dy = e.clientY - swipeStart.y;
+    swipeStart = null;
+
+    if (multi && Math.abs(dx) > SWIPE_MIN_PX && Math.abs(dx) > Math.abs(dy)) {
+      if (dx < 0) next();
+      else prev();
+    } else {
+      // a plain tap on the text skips the typewriter
+      skip();
+    }
+  }
+
+  pageEl.addEventListener("pointerdown", onPointerDown, { passive: true });
+  pageEl.addEventListener("pointerup", onPointerUp, { passive: true });
+  prevBtn.addEventListener("click", prev);
+  nextBtn.addEventListener("click", next);
+  skipBtn.addEventListener("click", skip);
+
+  show(0);
+
+  return {
+    next,
+    prev,
+    skip,
+    destroy: stopTyping
+  };
+}
@@ -0,0 +1,123 @@
+/**
+ * Safe Markdown subset for letters:
+ * - # / ## / ### headings, **bold**, *italic* / _italic_
+ * - "- item" / "* item" and "1. item" lists
+ * - [text](url) links (http, https, mailto, or relative)
+ * - ![alt](url) images (http, https, or relative)
+ * - :heart: style emoji shortcodes (unicode emoji just pass through)
+ * - blank line = new paragraph, single newline = line break
+ *
+ * Everything is escaped with escapeHtml() FIRST; the renderer only ever
+ * adds its own fixed tags on top of escaped text, so nothing from the
+ * letter (or a share link) can inject markup or script.
+ */
+
+export function escapeHtml(str) {
+  return String(str)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+const EMOJI = {
+  heart: "❤️",
+  hearts: "💕",
+  sparkling_heart: "💖",
+  kiss: "😘",
+  smile: "😊",
+  blush: "😊",
+  rose: "🌹",
+  sparkles: "✨",
+  star: "⭐",
+  ring: "💍",
+  hug: "🤗"
+};
+
+// Only these schemes (or a relative path with no scheme at all)
+function safeUrl(url, { allowMailto }) {
+  if (/^https?:\/\//i.test(url)) return url;
+  if (allowMailto && /^mailto:/i.test(url)) return url;
+  if (!/^[^/?#]*:/.test(url)) return url; // relative: no "scheme:" prefix
+  return null;
+}
+
+function renderInline(text) {
+  // Links and images become placeholders so emphasis can't reach into URLs
+  const slots = [];
+  const hold = (html) => `\u0000${slots.push(html) - 1}\u0000`;
+
+  let out = text
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (m, alt, url) => {
+      const src = safeUrl(url, { allowMailto: false });
+      return src ? hold(`<img class="letter-img" src="${src}" alt="${alt}" loading="lazy"/>`) : m;
+    })
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, url) => {
+      const href = safeUrl(url, { allowMailto: true });
+      return href
+        ? hold(`<a href="${href}" target="_blank" rel="noopener noreferrer">${emphasis(label)}</a>`)
+        : m;
+    });
+
+  out = emphasis(out).replace(/:([a-z_]+):/g, (m, name) => EMOJI[name] ?? m);
+
+  return out.replace(/\u0000(\d+)\u0000/g, (m, i) => slots[Number(i)]);
+}
+
+function emphasis(text) {
+  return text
+    .replace(/\*\*(?=\S)(.+?)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*\w])\*(?=\S)(.+?)\*(?![*\w])/g, "$1<em>$2</em>")
+    .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, "$1<em>$2</em>");
+}
+
+export function renderMarkdown(source) {
+  // NUL is reserved for the link/image placeholders in renderInline()
+  const lines = escapeHtml(source).replaceAll("\u0000", "").split("\n");
+  const html = [];
+
+  let paragraph = [];
+  let list = null; // { tag: "ul" | "ol", items: [] }
+
+  function flushParagraph() {
+    if (paragraph.length) html.push(`<p>${paragraph.map(renderInline).join("<br/>")}</p>`);
+    paragraph = [];
+  }
+
+  function flushList() {
+    if (list) {
+      html.push(`<${list.tag}>${list.items.map((i) => `<li>${renderInline(i)}</li>`).join("")}</${list.tag}>`);
+    }
+    list = null;
+  }
+
+  for (const raw of lines) {
+    const line = raw.trimEnd();
+    let m;
+
+    if (line.trim() === "") {
+      flushParagraph();
+      flushList();
+    } else if ((m = line.match(/^(#{1,3})\s+(.*)$/))) {
+      flushParagraph();
+      flushList();
+      // The modal title is the h2, so letter headings start at h3
+      const level = m[1].length + 2;
+      html.push(`<h${level}>${renderInline(m[2])}</h${level}>`);
+    } else if ((m = line.match(/^\s*([-*]|\d+[.)])\s+(.*)$/))) {
+      flushParagraph();
+      const tag = /\d/.test(m[1]) ? "ol" : "ul";
+      if (list && list.tag !== tag) flushList();
+      if (!list) list = { tag, items: [] };
+      list.items.push(m[2]);
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  }
+
+  flushParagraph();
+  flushList();
+  return html.join("");
+}
@@ -1,78 +1,153 @@
-const MUSIC_FILE = "music/my-song.mp3";
-const DEFAULT_VOLUME = 0.6;
-
-function escapeHtml(str) {
-  return String(str)
-    .replaceAll("&", "&amp;")
-    .replaceAll("<", "&lt;")
-    .replaceAll(">", "&gt;")
-    .replaceAll('"', "&quot;")
-    .replaceAll("'", "&#039;");
+import { DEFAULT_SURPRISE } from "../config/surprise.js";
+import { t } from "../i18n/index.js";
+import { createLetterPager, toPages } from "./letterPager.js";
+import { escapeHtml, renderMarkdown } from "./markdown.js";
+
+const SEEK_STEPS = 1000;
+
+const FOCUSABLE =
+  'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+  'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Open dialogs, bottom to top. Only the top one is interactive:
+// <main> and every dialog below it are made inert.
+const dialogStack = [];
+let modalCount = 0;
+let stylesInjected = false; // one <style> for every dialog
+
+const MUSIC_BUTTON_LABELS = {
+  idle: "modal.musicPlay",
+  loading: "modal.musicLoading",
+  playing: "modal.musicStop",
+  blocked: "modal.musicTapToPlay",
+  error: "modal.musicRetry"
+};
+
+function statusMessage({ status, error, track }) {
+  if (status === "loading") return t("modal.musicLoadingStatus");
+  if (status === "blocked") return t("modal.musicBlocked");
+  if (status === "error") {
+    return error === "missing" ? t("modal.musicMissing", { file: track.src }) : t("modal.musicError");
+  }
+  return "";
+}
+
+// 83.4 -> "1:23"
+function formatTime(seconds) {
+  const total = Math.floor(seconds || 0);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+}
+
+function syncStack() {
+  const main = document.querySelector("main");
+  if (main) main.inert = dialogStack.length > 0;
+
+  dialogStack.forEach((entry, i) => {
+    const top = i === dialogStack.length - 1;
+    entry.rootEl.inert = !top;
+    entry.rootEl.style.zIndex = String(4 + i);
+  });
 }
 
-export function createModal(rootEl) {
+/**
+ * Letter dialog.
+ * Pass a root element, or nothing to get a fresh root appended to <body>
+ * (that's how a second dialog can be stacked on top of the letter).
+ * Letters can have several pages (see ./letterPager.js); a page's
+ * action is handed to onPageAction.
+ * Music comes from a shared player (see ../audio/musicPlayer.js); without
+ * one (e.g. a dialog stacked on the letter) there is no music strip.
+ * Focus goes back to `returnFocus` on close (open() may pass its own);
+ * without one, to whatever had focus when the dialog opened.
+ */
+export function createModal(rootEl, {
+  music = null,
+  defaultContent = DEFAULT_SURPRISE.letter,
+  returnFocus = null,
+  onPageAction
+} = {}) {
+  if (!rootEl) {
+    rootEl = document.createElement("div");
+    rootEl.className = "modal-root";
+    rootEl.setAttribute("aria-hidden", "true");
+    document.body.appendChild(rootEl);
+  }
+
+  const id = `modal-${++modalCount}`;
+  const stackEntry = { rootEl };
+
   let isOpen = false;
+  let opener = null; // element to give focus back to on close
+  let clearTimer = 0;
+  let pager = null;
 
-  let audioEl = null;
-  let playing = false;
+  const player = music;
+  let unsubscribePlayer = null;
+  let seeking = false; // user is dragging the seek bar
 
   // NEW: close listeners
   const closeListeners = new Set();
 
-  const defaultContent = {
-    title: "A letter for you ❤️",
-    body: `
-Thank you for being the warmest part of my days.
-You make the ordinary feel magical — just by being you.
-If you ever forget how loved you are… come back to this moment.
-    `.trim()
-  };
-
-  function getMusicUrl() {
-    const base = import.meta.env.BASE_URL || "/";
-    return `${base}${MUSIC_FILE}`;
-  }
-
-  function ensureAudio() {
-    if (audioEl) return audioEl;
-    audioEl = new Audio();
-    audioEl.src = getMusicUrl();
-    audioEl.loop = true;
-    audioEl.preload = "auto";
-    audioEl.volume = DEFAULT_VOLUME;
-    audioEl.addEventListener("ended", () => (playing = false));
-    return audioEl;
+  // Letter text is a safe Markdown subset (see ./markdown.js)
+  function renderBody(text) {
+    return renderMarkdown(text);
   }
 
   function render(content = defaultContent) {
     const safeTitle = escapeHtml(content.title);
-    const safeBody = escapeHtml(content.body).replaceAll("\n", "<br/>");
-    const shownUrl = escapeHtml(getMusicUrl());
+    const multiTrack = player?.getState().trackCount > 1;
+
+    // No player, no music controls
+    const musicButton = player ? `
+      <button class="modal-btn modal-btn-primary" type="button" data-modal-music>
+        ${escapeHtml(t("modal.musicPlay"))}
+      </button>` : "";
+    const playerStrip = player ? `
+      <p class="modal-music-status" role="status" data-modal-music-status></p>
+
+      <div class="modal-player" role="group" aria-label="${escapeHtml(t("modal.musicLabel"))}">
+        <button class="modal-pager-btn" type="button" data-modal-track-prev
+          aria-label="${escapeHtml(t("modal.prevTrack"))}" ${multiTrack ? "" : "hidden"}>⏮</button>
+        <div class="modal-player-info">
+          <span class="modal-track" data-modal-track></span>
+          <input class="modal-seek" type="range" min="0" max="${SEEK_STEPS}" step="1" value="0"
+            aria-label="${escapeHtml(t("modal.seek"))}" data-modal-seek />
+          <span class="modal-time" aria-hidden="true" data-modal-time>0:00 / 0:00</span>
+        </div>
+        <button class="modal-pager-btn" type="button" data-modal-track-next
+          aria-label="${escapeHtml(t("modal.nextTrack"))}" ${multiTrack ? "" : "hidden"}>⏭</button>
+      </div>` : "";
 
     rootEl.innerHTML = `
       <div class="modal-backdrop" data-modal-backdrop>
-        <div class="modal" role="dialog" aria-modal="true" aria-label="Valentine letter">
+        <div class="modal" role="dialog" aria-modal="true" tabindex="-1"
+          aria-labelledby="${id}-title" aria-describedby="${id}-body">
           <div class="modal-glow" aria-hidden="true"></div>
 
           <div class="modal-header">
-            <h2 class="modal-title">${safeTitle}</h2>
-            <button class="modal-x" type="button" aria-label="Close modal" data-modal-close>✕</button>
+            <h2 class="modal-title" id="${id}-title">${safeTitle}</h2>
+            <button class="modal-x" type="button" aria-label="${escapeHtml(t("modal.closeAria"))}" data-modal-close>✕</button>
           </div>
 
-          <div class="modal-body">
-            <p>${safeBody}</p>
+          <div class="modal-body" id="${id}-body" data-modal-page></div>
+
+          <div class="modal-pager">
+            <button class="modal-pager-btn" type="button" data-modal-prev
+              aria-label="${escapeHtml(t("modal.prev"))}">‹</button>
+            <span class="modal-progress" aria-live="polite" data-modal-progress></span>
+            <span class="modal-dots" aria-hidden="true" data-modal-dots></span>
+            <button class="modal-pager-btn" type="button" data-modal-next
+              aria-label="${escapeHtml(t("modal.next"))}">›</button>
+            <button class="modal-skip" type="button" data-modal-skip hidden>
+              ${escapeHtml(t("modal.skip"))}
+            </button>
           </div>
 
           <div class="modal-actions">
-            <button class="modal-btn" type="button" data-modal-close>Fermer</button>
-            <button class="modal-btn modal-btn-primary" type="button" data-modal-music>
-              Lance la musique
-            </button>
+            <button class="modal-btn" type="button" data-modal-close>${escapeHtml(t("modal.close"))}</button>
+            ${musicButton}
           </div>
-
-          <p class="modal-footnote" aria-hidden="true">
-            (Music: <b>${shownUrl}</b>)
-          </p>
+          ${playerStrip}
         </div>
       </div>
     `;
@@ -80,13 +155,33 @@ If you ever forget how loved you are… come back to this moment.
     injectStylesOnce();
   }
 
-  function open(content) {
+  function open(content, { returnFocus: focusTarget = returnFocus } = {}) {
     if (isOpen) return;
     isOpen = true;
 
+    // Safari doesn't focus buttons on click, so activeElement is only a fallback
+    opener = focusTarget ?? document.activeElement;
+    clearTimeout(clearTimer);
+
     rootEl.setAttribute("aria-hidden", "false");
     render(content);
 
+    pager = createLetterPager(
+      {
+        pageEl: rootEl.querySelector("[data-modal-page]"),
+        prevBtn: rootEl.querySelector("[data-modal-prev]"),
+        nextBtn: rootEl.querySelector("[data-modal-next]"),
+        skipBtn: rootEl.querySelector("[data-modal-skip]"),
+        progressEl: rootEl.querySelector("[data-modal-progress]"),
+        dotsEl: rootEl.querySelector("[data-modal-dots]")
+      },
+      toPages(content || defaultContent),
+      { renderBody, onPageAction }
+    );
+
+    dialogStack.push(stackEntry);
+    syncStack();
+
     requestAnimationFrame(() => {
       rootEl.querySelector(".modal-backdrop")?.classList.add("open");
     });
@@ -102,9 +197,12 @@ If you ever forget how loved you are… come back to this moment.
     });
 
     musicBtn?.addEventListener("click", async () => {
-      await toggleMusic(musicBtn);
+      await toggleMusic();
     });
 
+    bindPlayer();
+    player?.preflight();
+
     window.addEventListener("keydown", onKeyDown);
     (musicBtn || closeEls[0])?.focus?.();
   }
@@ -114,62 +212,173 @@ If you ever forget how loved you are… come back to this moment.
     isOpen = false;
 
     stopMusic();
+    unsubscribePlayer?.();
+    unsubscribePlayer = null;
+    pager?.destroy();
+    pager = null;
 
     const backdrop = rootEl.querySelector(".modal-backdrop");
     backdrop?.classList.remove("open");
 
-    setTimeout(() => {
+    clearTimer = setTimeout(() => {
       rootEl.innerHTML = "";
       rootEl.setAttribute("aria-hidden", "true");
     }, 180);
 
     window.removeEventListener("keydown", onKeyDown);
 
+    const index = dialogStack.indexOf(stackEntry);
+    if (index !== -1) dialogStack.splice(index, 1);
+    rootEl.inert = true; // while it fades out
+    syncStack();
+
+    // Give focus back (e.g. to YES), unless it's gone or still inert
+    if (opener?.isConnected && !opener.closest("[inert]")) {
+      opener.focus({ preventScroll: true });
+    } else {
+      const below = dialogStack[dialogStack.length - 1];
+      below?.rootEl.querySelector(".modal")?.focus();
+    }
+    opener = null;
+
     // NEW: notify listeners
     closeListeners.forEach((fn) => {
       try { fn(); } catch {}
     });
   }
 
+  function isTop() {
+    return dialogStack[dialogStack.length - 1] === stackEntry;
+  }
+
   function onKeyDown(e) {
-    if (e.key === "Escape") close();
+    // Only the top dialog reacts (and only once per key press)
+    if (!isTop() || e.defaultPrevented) return;
+
+    if (e.key === "Escape") {
+      e.preventDefault();
+      close();
+    } else if ((e.key === "ArrowRight" || e.key === "ArrowLeft") && !isEditable(e.target)) {
+      e.preventDefault();
+      if (e.key === "ArrowRight") pager?.next();
+      else pager?.prev();
+    } else if (e.key === "Tab") {
+      trapTab(e);
+    }
+  }
+
+  // Arrow keys belong to sliders and text fields (seek, volume) there
+  function isEditable(el) {
+    return el instanceof Element && (el.matches("input, select, textarea") || el.isContentEditable);
+  }
+
+  // Keep Tab / Shift+Tab cycling inside the dialog
+  function trapTab(e) {
+    const dialog = rootEl.querySelector(".modal");
+    if (!dialog) return;
+
+    const items = Array.from(dialog.querySelectorAll(FOCUSABLE))
+      .filter((el) => el.getClientRects().length > 0);
+    const active = document.activeElement;
+
+    if (items.length === 0) {
+      e.preventDefault();
+      dialog.focus();
+      return;
+    }
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    const outside = !dialog.contains(active) || active === dialog;
+
+    if (e.shiftKey && (active === first || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || outside)) {
+      e.preventDefault();
+      first.focus();
+    }
   }
 
+  // Wire the player strip; the subscription lives while the dialog is open
+  function bindPlayer() {
+    if (!player) return;
+    const p = player;
+    const musicBtn = rootEl.querySelector("[data-modal-music]");
+    const trackEl = rootEl.querySelector("[data-modal-track]");
+    const seekEl = rootEl.querySelector("[data-modal-seek]");
+    const timeEl = rootEl.querySelector("[data-modal-time]");
+    const statusEl = rootEl.querySelector("[data-modal-music-status]");
+
+    rootEl.querySelector("[data-modal-track-prev]")
+      ?.addEventListener("click", () => p.prev().catch(() => {}));
+    rootEl.querySelector("[data-modal-track-next]")
+      ?.addEventListener("click", () => p.next().catch(() => {}));
+
+    seekEl?.addEventListener("pointerdown", () => (seeking = true));
+    seekEl?.addEventListener("pointerup", () => (seeking = false));
+    seekEl?.addEventListener("change", () => (seeking = false));
+    seekEl?.addEventListener("input", () => {
+      const { duration } = p.getState();
+      p.seek((Number(seekEl.value) / SEEK_STEPS) * duration);
+    });
+
+    unsubscribePlayer = p.subscribe((state) => {
+      if (musicBtn) {
+        musicBtn.textContent = t(MUSIC_BUTTON_LABELS[state.status]);
+        musicBtn.setAttribute("aria-busy", String(state.status === "loading"));
+        musicBtn.classList.toggle("modal-btn-prompt", state.status === "blocked");
+      }
+      if (statusEl) statusEl.textContent = statusMessage(state);
+      if (trackEl) {
+        const { title, artist } = state.track;
+        trackEl.textContent = artist ? `${title} · ${artist}` : title;
+      }
+
+      // The built-in soundtrack has no end, so no total either
+      const time = state.duration
+        ? `${formatTime(state.currentTime)} / ${formatTime(state.duration)}`
+        : formatTime(state.currentTime);
+      if (timeEl) timeEl.textContent = time;
+      if (seekEl) {
+        seekEl.disabled = !state.duration;
+        seekEl.setAttribute("aria-valuetext", time);
+        if (!seeking && state.duration) {
+          seekEl.value = String(Math.round((state.currentTime / state.duration) * SEEK_STEPS));
+        }
+      }
+    });
+  }
+
+  // Fades out but keeps the position, so reopening resumes the song
   function stopMusic() {
-    if (!audioEl) return;
-    try {
-      audioEl.pause();
-      audioEl.currentTime = 0;
-    } catch {}
-    playing = false;
+    player?.pause();
   }
 
-  async function toggleMusic(buttonEl) {
+  // Failures show up in the dialog through the player status
+  async function runMusic(action) {
+    const p = player;
+    if (!p) return;
     try {
-      const a = ensureAudio();
-
-      if (!playing) {
-        await a.play();
-        playing = true;
-        if (buttonEl) buttonEl.textContent = "Coupe la musique";
-      } else {
-        stopMusic();
-        if (buttonEl) buttonEl.textContent = "Lance la musique";
-      }
+      await action(p);
     } catch (err) {
-      console.warn("Music failed. Check URL:", getMusicUrl(), err);
-      playing = false;
-      if (buttonEl) buttonEl.textContent = "Lance la musique";
+      if (p.getState().status === "error") {
+        console.warn("Music failed. Check URL:", p.getState().track.src, err);
+      }
     }
   }
 
+  const toggleMusic = () => runMusic((p) => p.toggle());
+
+  // Start (or resume) only; a blocked autoplay turns into a "tap to play"
+  const playMusic = () => runMusic((p) => (p.isPlaying() ? undefined : p.play()));
+
   // NEW: allow buttons.js to subscribe
   function onClose(fn) {
     closeListeners.add(fn);
     return () => closeListeners.delete(fn);
   }
 
-  let stylesInjected = false;
   function injectStylesOnce() {
     if (stylesInjected) return;
     stylesInjected = true;
@@ -194,20 +403,21 @@ If you ever forget how loved you are… come back to this moment.
       .modal {
         width: min(640px, 92vw);
         border-radius: 22px;
-        border: 1px solid rgba(255,255,255,0.16);
-        background: linear-gradient(180deg, rgba(255,255,255,0.10), rgba(255,255,255,0.06));
+        border: 1px solid rgba(var(--fg-rgb),0.16);
+        background: var(--panel);
         box-shadow: 0 24px 90px rgba(0,0,0,0.62);
         position: relative;
         overflow: hidden;
         padding: 18px 18px 14px;
       }
+      .modal:focus { outline: none; }
 
       .modal-glow {
         position: absolute;
         inset: -120px;
         background:
-          radial-gradient(circle at 30% 25%, rgba(255,79,167,0.30), transparent 55%),
-          radial-gradient(circle at 70% 70%, rgba(255,43,92,0.22), transparent 60%);
+          radial-gradient(circle at 30% 25%, rgba(var(--accent-rgb),0.30), transparent 55%),
+          radial-gradient(circle at 70% 70%, rgba(var(--accent2-rgb),0.22), transparent 60%);
         filter: blur(40px);
         pointer-events: none;
         opacity: 0.7;
@@ -229,26 +439,78 @@ If you ever forget how loved you are… come back to this moment.
       }
 
       .modal-x {
-        border: 1px solid rgba(255,255,255,0.16);
-        background: rgba(255,255,255,0.08);
-        color: rgba(255,255,255,0.9);
+        border: 1px solid rgba(var(--fg-rgb),0.16);
+        background: rgba(var(--fg-rgb),0.08);
+        color: rgba(var(--fg-rgb),0.9);
         border-radius: 12px;
         width: 40px;
         height: 40px;
         cursor: pointer;
         transition: transform 140ms ease, background 160ms ease;
       }
-      .modal-x:hover { transform: translateY(-1px); background: rgba(255,255,255,0.10); }
+      .modal-x:hover { transform: translateY(-1px); background: rgba(var(--fg-rgb),0.10); }
 
       .modal-body {
         position: relative;
         z-index: 1;
         margin-top: 10px;
-        color: rgba(255,255,255,0.82);
+        color: rgba(var(--fg-rgb),0.82);
         line-height: 1.55;
         font-size: 15px;
       }
 
+      .modal-pager {
+        position: relative;
+        z-index: 1;
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        margin-top: 12px;
+        color: rgba(var(--fg-rgb),0.65);
+        font-size: 13px;
+      }
+
+      .modal-pager-btn, .modal-skip {
+        border: 1px solid rgba(var(--fg-rgb),0.16);
+        background: rgba(var(--fg-rgb),0.08);
+        color: rgba(var(--fg-rgb),0.9);
+        border-radius: 10px;
+        min-width: 36px;
+        height: 32px;
+        cursor: pointer;
+        font-size: 16px;
+      }
+      .modal-pager [hidden] { display: none; }
+      .modal-pager-btn:disabled { opacity: 0.35; cursor: default; }
+      .modal-skip { margin-left: auto; font-size: 12px; padding: 0 10px; }
+
+      .modal-dots { display: inline-flex; gap: 6px; }
+      .modal-dot {
+        width: 7px;
+        height: 7px;
+        border-radius: 50%;
+        background: rgba(var(--fg-rgb),0.25);
+        transition: background 160ms ease;
+      }
+      .modal-dot.active { background: rgba(var(--accent-rgb),0.9); }
+
+      .modal-body { touch-action: pan-y; }
+      .modal-body p { margin: 0 0 10px; }
+      .modal-body h3, .modal-body h4, .modal-body h5 {
+        margin: 4px 0 8px;
+        color: rgba(var(--fg-rgb),0.92);
+        line-height: 1.25;
+      }
+      .modal-body ul, .modal-body ol { margin: 0 0 10px; padding-left: 22px; }
+      .modal-body a { color: var(--link); }
+      .modal-body .letter-img {
+        display: block;
+        max-width: 100%;
+        max-height: 240px;
+        margin: 6px auto;
+        border-radius: 12px;
+      }
+
       .modal-actions {
         position: relative;
         z-index: 1;
@@ -259,9 +521,9 @@ If you ever forget how loved you are… come back to this moment.
       }
 
       .modal-btn {
-        border: 1px solid rgba(255,255,255,0.16);
-        background: rgba(255,255,255,0.08);
-        color: rgba(255,255,255,0.92);
+        border: 1px solid rgba(var(--fg-rgb),0.16);
+        background: rgba(var(--fg-rgb),0.08);
+        color: rgba(var(--fg-rgb),0.92);
         padding: 10px 14px;
         border-radius: 14px;
         cursor: pointer;
@@ -272,28 +534,81 @@ If you ever forget how loved you are… come back to this moment.
       }
       .modal-btn:hover {
         transform: translateY(-1px);
-        background: rgba(255,255,255,0.10);
-        border-color: rgba(255,255,255,0.22);
+        background: rgba(var(--fg-rgb),0.10);
+        border-color: rgba(var(--fg-rgb),0.22);
       }
       .modal-btn:active { transform: translateY(0px) scale(0.98); }
 
       .modal-btn-primary {
-        border-color: rgba(255,79,167,0.35);
-        background: linear-gradient(180deg, rgba(255,79,167,0.22), rgba(255,43,92,0.12));
+        border-color: rgba(var(--accent-rgb),0.35);
+        background: linear-gradient(180deg, rgba(var(--accent-rgb),0.22), rgba(var(--accent2-rgb),0.12));
+      }
+
+      .modal-btn-prompt {
+        border-color: rgba(var(--accent-rgb),0.7);
+        box-shadow: 0 0 0 0 rgba(var(--accent-rgb),0.45);
+        animation: modal-prompt 1.6s ease-out infinite;
+      }
+      @keyframes modal-prompt {
+        to { box-shadow: 0 0 0 12px rgba(var(--accent-rgb),0); }
       }
 
-      .modal-footnote {
+      .modal-music-status {
         position: relative;
         z-index: 1;
         margin: 10px 0 0;
-        color: rgba(255,255,255,0.55);
+        color: rgba(var(--fg-rgb),0.7);
+        font-size: 13px;
+        word-break: break-word;
+      }
+      .modal-music-status:empty { display: none; }
+
+      .modal-player {
+        position: relative;
+        z-index: 1;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-top: 12px;
+      }
+      .modal-player [hidden] { display: none; }
+      .modal-player-info {
+        flex: 1;
+        display: grid;
+        grid-template-columns: 1fr auto;
+        align-items: center;
+        gap: 4px 10px;
+        min-width: 0;
+      }
+      .modal-track {
+        grid-column: 1 / -1;
+        color: rgba(var(--fg-rgb),0.75);
+        font-size: 13px;
+        white-space: nowrap;
+        overflow: hidden;
+        text-overflow: ellipsis;
+      }
+      .modal-seek {
+        width: 100%;
+        accent-color: var(--accent);
+        cursor: pointer;
+      }
+      .modal-seek:disabled { cursor: default; opacity: 0.5; }
+      .modal-time {
+        color: rgba(var(--fg-rgb),0.55);
         font-size: 12px;
-        word-break: break-all;
+        font-variant-numeric: tabular-nums;
       }
 
       @media (max-width: 420px) {
         .modal-btn { min-width: 100%; }
       }
+
+      @media (prefers-reduced-motion: reduce) {
+        .modal-backdrop { transform: none; transition: opacity 180ms ease; }
+        .modal-x:hover, .modal-btn:hover, .modal-btn:active { transform: none; }
+        .modal-btn-prompt { animation: none; }
+      }
     `;
     document.head.appendChild(style);
   }
@@ -303,6 +618,7 @@ If you ever forget how loved you are… come back to this moment.
     close,
     isOpen: () => isOpen,
     toggleMusic,
+    playMusic,
     onClose
   };
 }
@@ -0,0 +1,89 @@
+/**
+ * NO button game modes (surprise.noButton.mode):
+ * - classic: runs away and shrinks a little
+ * - shrink: shrinks with every attempt until it vanishes for good
+ * - turnsYes: after `attempts` tries it gives up and becomes a YES
+ * - growYes: the YES button grows each time NO is chased
+ * - pleading: NO's label cycles through pleading `messages`
+ * - Progress lives here (and in the runner, for shrink), so it survives
+ *   the NO button being restored after the letter closes
+ */
+
+import { announce } from "./announce.js";
+import { t } from "../i18n/index.js";
+
+export const DEFAULT_NO_MODE = "classic";
+
+const PLEAD_MESSAGES = ["no.plead1", "no.plead2", "no.plead3", "no.plead4", "no.plead5", "no.plead6"];
+
+// One chase (cursor sweeping after NO, press + its escape) = one attempt
+const CHASE_COOLDOWN_MS = 600;
+
+const YES_GROW_STEP = 0.12;
+const YES_MAX_SCALE = 1.9;
+
+const MODES = {
+  classic: { label: "Classic: runs away" },
+  shrink: { label: "Shrinks until it disappears", runner: { vanish: true } },
+  turnsYes: { label: "Turns into YES after a few tries" },
+  growYes: { label: "YES grows every time" },
+  pleading: { label: "Begs with every try" }
+};
+
+export function listNoButtonModes() {
+  return Object.entries(MODES).map(([name, mode]) => ({ name, label: mode.label }));
+}
+
+/**
+ * Returns { runner, chased, isYes }:
+ * - runner: extra options for the runaway NO (see ./buttons.js)
+ * - chased(): call whenever NO flees or is pressed; calls closer than
+ *   CHASE_COOLDOWN_MS apart count as one attempt
+ * - isYes(): true once NO has turned into a YES (stop running, treat
+ *   a click as YES)
+ */
+export function createNoButtonGame({ mode = DEFAULT_NO_MODE, attempts = 5, messages = [] } = {}, { noBtn, yesBtn, yesLabel }) {
+  if (!MODES[mode]) {
+    console.warn(`[buttons] unknown NO button mode "${mode}", using "${DEFAULT_NO_MODE}".`);
+    mode = DEFAULT_NO_MODE;
+  }
+
+  const maxAttempts = Math.max(1, Math.round(attempts));
+  const pleas = messages.length > 0 ? messages : PLEAD_MESSAGES.map((key) => t(key));
+
+  let tries = 0;
+  let lastChase = -Infinity;
+  let turned = false;
+  let yesScale = 1;
+
+  function turnIntoYes() {
+    turned = true;
+    noBtn.textContent = yesLabel;
+    noBtn.classList.add("btn-no-yes");
+    announce(t("no.turnedYes"));
+  }
+
+  // Same trick as the NO scale: !important wins over the buttons' entrance animation
+  function growYes() {
+    yesScale = Math.min(YES_MAX_SCALE, yesScale + YES_GROW_STEP);
+    yesBtn.style.setProperty("transform", `scale(${yesScale})`, "important");
+    yesBtn.style.setProperty("transform-origin", "center center", "important");
+  }
+
+  function chased() {
+    const now = performance.now();
+    if (turned || now - lastChase < CHASE_COOLDOWN_MS) return;
+    lastChase = now;
+    tries++;
+
+    if (mode === "turnsYes" && tries >= maxAttempts) turnIntoYes();
+    else if (mode === "growYes") growYes();
+    else if (mode === "pleading") noBtn.textContent = pleas[(tries - 1) % pleas.length];
+  }
+
+  return {
+    runner: MODES[mode].runner ?? {},
+    chased,
+    isYes: () => turned
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Sound controls: one mute toggle + one master volume slider for the
+ * whole page (music, soundtrack and sound effects, see ../audio/mixer.js).
+ * Lives outside <main>, so it stays usable while the letter is open.
+ */
+
+import { t } from "../i18n/index.js";
+import { escapeHtml } from "./markdown.js";
+
+export function createSoundControls(rootEl, mixer) {
+  if (!rootEl) return null;
+
+  rootEl.innerHTML = `
+    <button class="sound-mute" type="button" aria-pressed="false" data-sound-mute></button>
+    <input class="sound-volume" type="range" min="0" max="100" step="1"
+      aria-label="${escapeHtml(t("sound.volume"))}" data-sound-volume />
+  `;
+
+  const muteBtn = rootEl.querySelector("[data-sound-mute]");
+  const volumeEl = rootEl.querySelector("[data-sound-volume]");
+
+  muteBtn.addEventListener("click", () => mixer.toggleMute());
+  volumeEl.addEventListener("input", () => mixer.setVolume(Number(volumeEl.value) / 100));
+
+  return mixer.subscribe(({ volume, muted }) => {
+    const silent = muted || volume === 0;
+    muteBtn.textContent = silent ? "🔇" : "🔊";
+    muteBtn.setAttribute("aria-pressed", String(muted));
+    muteBtn.setAttribute("aria-label", t(muted ? "sound.unmute" : "sound.mute"));
+    volumeEl.value = String(Math.round(volume * 100));
+    volumeEl.setAttribute("aria-valuetext", `${Math.round(volume * 100)}%`);
+  });
+}
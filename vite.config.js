@@ -1,5 +1,14 @@
+import { resolve } from "node:path";
 import { defineConfig } from "vite";
 
 export default defineConfig({
    base: "/valentine-surprise/",
+   build: {
+      rollupOptions: {
+         input: {
+            main: resolve(__dirname, "index.html"),
+            compose: resolve(__dirname, "compose.html")
+         }
+      }
+   }
 });